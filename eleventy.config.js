@@ -1,4 +1,5 @@
-import jsonViewer from './stringify-and-view/json-viewer.js';
+import { jsonViewerPlugin } from './stringify-and-view/json-viewer.js';
+import { stringifyPlus } from './stringify-and-view/stringify-plus.js';
 import logToConsole from 'eleventy-plugin-console-plus';
 
 
@@ -6,8 +7,11 @@ import logToConsole from 'eleventy-plugin-console-plus';
 /** @param {import("@11ty/eleventy").UserConfig} eleventyConfig */
 export default (eleventyConfig) => {
 
-  // Add the JSON viewer filter
-  eleventyConfig.addFilter('jsonViewer', jsonViewer);
+  // Add the JSON viewer filter; its CSS and script are copied to /assets/json-viewer/ and linked once per page
+  eleventyConfig.addPlugin(jsonViewerPlugin);
+  // Plain-text output for <pre> blocks, e.g. {{ page | stringifyPlus({ format: 'json-pretty' }) }}
+  eleventyConfig.addFilter('stringifyPlus', stringifyPlus);
+  eleventyConfig.addFilter('toYaml', async (data, options) => stringifyPlus(data, Object.assign({}, options, { format: 'yaml' })));
   eleventyConfig.addPlugin(logToConsole, {
     logToTerminal: false
   })
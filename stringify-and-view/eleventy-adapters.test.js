@@ -0,0 +1,123 @@
+/*
+ * Test suite for eleventy-adapters.js
+ *
+ * Covers:
+ *   - Recognising Eleventy internals (Template, TemplateMap, collection entries, page)
+ *   - Snapshots that read getters safely and never modify the original
+ *   - Integration with stringifyPlus
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  eleventyAdapters,
+  templateAdapter,
+  templateMapAdapter,
+  collectionItemAdapter,
+  pageAdapter,
+  readPropertySafely
+} from './eleventy-adapters.js';
+import { stringifyPlus } from './stringify-plus.js';
+
+// Minimal stand-ins for Eleventy's classes; adapters recognise them by constructor name
+class Template {
+  constructor(inputPath) {
+    this.inputPath = inputPath;
+    this.fileSlugStr = 'post';
+    this.config = { huge: 'config' };
+  }
+}
+
+class TemplateMap {
+  constructor(entries) {
+    this.map = entries;
+    this.cached = false;
+  }
+}
+
+// Builds a collection entry whose templateContent getter throws until rendered, as Eleventy's does
+function createCollectionItem(inputPath) {
+  const item = { inputPath, url: '/post/', data: { title: 'Post' }, template: new Template(inputPath) };
+  Object.defineProperty(item, 'templateContent', {
+    enumerable: true,
+    get() {
+      if (this._templateContent === undefined) throw new Error('Tried to use templateContent too early');
+      return this._templateContent;
+    }
+  });
+  return item;
+}
+
+describe('eleventy-adapters', () => {
+  describe('readPropertySafely', () => {
+    it('returns data properties and getter values', () => {
+      const obj = { a: 1, get b() { return 2; } };
+      expect(readPropertySafely(obj, 'a')).toBe(1);
+      expect(readPropertySafely(obj, 'b')).toBe(2);
+      expect(readPropertySafely(obj, 'missing')).toBe(undefined);
+    });
+
+    it('turns throwing getters into a marker', () => {
+      const obj = { get boom() { throw new TypeError('nope'); } };
+      expect(readPropertySafely(obj, 'boom')).toBe('[boom threw TypeError: nope]');
+    });
+  });
+
+  describe('built-in adapters', () => {
+    it('recognises each Eleventy internal', () => {
+      const item = createCollectionItem('./src/posts/a.md');
+      const page = { inputPath: './src/index.njk', fileSlug: '', url: '/', outputPath: 'dist/index.html' };
+      expect(eleventyAdapters.find(adapter => adapter.test(new Template('./a.md')))).toBe(templateAdapter);
+      expect(eleventyAdapters.find(adapter => adapter.test(new TemplateMap([])))).toBe(templateMapAdapter);
+      expect(eleventyAdapters.find(adapter => adapter.test(item))).toBe(collectionItemAdapter);
+      expect(eleventyAdapters.find(adapter => adapter.test(page))).toBe(pageAdapter);
+      expect(eleventyAdapters.find(adapter => adapter.test({ a: 1 }))).toBe(undefined);
+    });
+
+    it('summarises Template without its config', () => {
+      expect(templateAdapter.summarize(new Template('./a.md'))).toEqual({ inputPath: './a.md', fileSlugStr: 'post' });
+    });
+
+    it('summarises TemplateMap to its entries', () => {
+      const map = new TemplateMap([{ inputPath: './a.md' }, { inputPath: './b.md' }]);
+      expect(templateMapAdapter.summarize(map)).toEqual({ entryCount: 2, inputPaths: ['./a.md', './b.md'] });
+    });
+
+    it('summarises collection entries before render', () => {
+      const item = createCollectionItem('./src/posts/a.md');
+      const snapshot = collectionItemAdapter.summarize(item);
+      expect(snapshot.templateContent).toBe('[templateContent not yet rendered]');
+      expect(snapshot.data).toBe(item.data);
+      expect(Object.keys(item)).not.toContain('_templateContent');
+    });
+  });
+
+  describe('with stringifyPlus', () => {
+    it('serializes collections without throwing or mutating them', async () => {
+      const item = createCollectionItem('./src/posts/a.md');
+      const collections = { all: [item], post: [item] };
+      const before = Object.keys(item).join();
+      const output = JSON.parse(await stringifyPlus({ collections }));
+      expect(output.collections.all[0].templateContent).toBe('[templateContent not yet rendered]');
+      expect(output.collections.all[0].data).toEqual({ title: 'Post' });
+      expect(output.collections.all[0].template).toBe('Removed for performance reasons. Use { showTemplate: true } to show it');
+      expect(Object.keys(item).join()).toBe(before);
+    });
+
+    it('uses the Template adapter when templates are shown', async () => {
+      const item = createCollectionItem('./src/posts/a.md');
+      const output = JSON.parse(await stringifyPlus(item, { showTemplate: true }));
+      expect(output.template).toEqual({ '[[Class]]': 'Template', inputPath: './src/posts/a.md', fileSlugStr: 'post' });
+    });
+
+    it('detects circular references through adapted objects', async () => {
+      const item = createCollectionItem('./src/posts/a.md');
+      item.data.collections = { all: [item] };
+      const output = JSON.parse(await stringifyPlus(item));
+      expect(output.data.collections.all[0].data.collections.all[0]).toBe('[Circular Ref: root]');
+    });
+
+    it('can be turned off', async () => {
+      const item = createCollectionItem('./src/posts/a.md');
+      await expect(stringifyPlus(item, { adapters: [] })).rejects.toThrow('Tried to use templateContent too early');
+    });
+  });
+});
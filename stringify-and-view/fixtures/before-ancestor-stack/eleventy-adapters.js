@@ -0,0 +1,143 @@
+// eleventy-adapters.js from the same point as the stringify-plus.js next to it, which imports it. Do not edit.
+
+/**
+ * Adapters that summarise Eleventy internals for stringifyPlus without side effects.
+ * Each adapter has a `name`, a `test(value)` that recognises the object, and a `summarize(value)`
+ * that returns a plain snapshot object which stringifyPlus then serializes in place of the original.
+ * Snapshots only read own properties; getters that throw (such as `templateContent` before render)
+ * are caught and replaced with a marker, and nothing on the original object is ever written.
+ *
+ * Pass `{ adapters: [myAdapter, ...eleventyAdapters] }` to stringifyPlus to add your own,
+ * or `{ adapters: [] }` to turn them off.
+ *
+ * @module eleventy-adapters
+ */
+
+/**
+ * Reads a single own property without throwing.
+ * Data properties are returned as-is; getters are invoked and any error is turned into a marker string.
+ * @param {Object} obj - The object to read from
+ * @param {string} key - The property to read
+ * @param {function(Error): string} [onError] - Builds the marker for a getter that throws
+ * @returns {any} The property value, or the marker
+ */
+export function readPropertySafely(obj, key, onError = err => `[${key} threw ${err.name}: ${err.message}]`) {
+    const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+    if (!descriptor) return undefined;
+    if ('value' in descriptor) return descriptor.value;
+    if (!descriptor.get) return undefined;
+    try {
+        return descriptor.get.call(obj);
+    } catch (err) {
+        return onError(err);
+    }
+}
+
+/**
+ * Copies an object's own enumerable properties into a plain snapshot, reading getters safely.
+ * @param {Object} obj - The object to snapshot
+ * @param {Object<string, function(Error): string>} [errorMarkers] - Per-key markers for getters that throw
+ * @returns {Object} The snapshot
+ */
+export function snapshotOwnProperties(obj, errorMarkers = {}) {
+    const snapshot = {};
+    for (const key of Object.keys(obj)) {
+        snapshot[key] = readPropertySafely(obj, key, errorMarkers[key]);
+    }
+    return snapshot;
+}
+
+/**
+ * Copies the listed own data properties that are present, without invoking any getters.
+ * @param {Object} obj - The object to read from
+ * @param {string[]} keys - The properties to copy
+ * @returns {Object} The snapshot
+ */
+function pickDataProperties(obj, keys) {
+    const snapshot = {};
+    for (const key of keys) {
+        const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+        if (descriptor && 'value' in descriptor && descriptor.value !== undefined) {
+            snapshot[key] = descriptor.value;
+        }
+    }
+    return snapshot;
+}
+
+/**
+ * Checks whether an object's constructor has the given name.
+ * @param {any} value - The value to check
+ * @param {string} name - The constructor name
+ * @returns {boolean}
+ */
+function hasConstructorName(value, name) {
+    const proto = Object.getPrototypeOf(value);
+    return proto !== null && proto.constructor && proto.constructor.name === name;
+}
+
+// Marker for content getters that Eleventy only allows after the template has rendered
+const notYetRendered = key => () => `[${key} not yet rendered]`;
+
+/**
+ * Eleventy `Template` instances: summarised to their identifying paths, leaving out config and render internals.
+ * @type {{name: string, test: function(any): boolean, summarize: function(Object): Object}}
+ */
+export const templateAdapter = {
+    name: 'Template',
+    test: value => hasConstructorName(value, 'Template') && typeof value.inputPath === 'string',
+    summarize: value => pickDataProperties(value, ['inputPath', 'outputPath', 'fileSlugStr', 'filePathStem', 'templateSyntax'])
+};
+
+/**
+ * Eleventy `TemplateMap` instances: summarised to the number of entries and their input paths.
+ * @type {{name: string, test: function(any): boolean, summarize: function(Object): Object}}
+ */
+export const templateMapAdapter = {
+    name: 'TemplateMap',
+    test: value => hasConstructorName(value, 'TemplateMap'),
+    summarize: value => {
+        const entries = readPropertySafely(value, 'map');
+        if (!Array.isArray(entries)) return {};
+        return {
+            entryCount: entries.length,
+            inputPaths: entries.map(entry => readPropertySafely(entry, 'inputPath'))
+        };
+    }
+};
+
+/**
+ * Eleventy collection entries (e.g. items of `collections.all`), whose `templateContent` and `content`
+ * getters throw if read before the template has rendered.
+ * @type {{name: string, test: function(any): boolean, summarize: function(Object): Object}}
+ */
+export const collectionItemAdapter = {
+    name: 'CollectionItem',
+    test: value => typeof value.inputPath === 'string' &&
+        Object.prototype.hasOwnProperty.call(value, 'data') &&
+        Object.prototype.hasOwnProperty.call(value, 'templateContent'),
+    summarize: value => snapshotOwnProperties(value, {
+        templateContent: notYetRendered('templateContent'),
+        content: notYetRendered('content')
+    })
+};
+
+/**
+ * The Eleventy `page` object.
+ * @type {{name: string, test: function(any): boolean, summarize: function(Object): Object}}
+ */
+export const pageAdapter = {
+    name: 'page',
+    test: value => typeof value.inputPath === 'string' &&
+        typeof value.fileSlug === 'string' &&
+        Object.prototype.hasOwnProperty.call(value, 'url') &&
+        !Object.prototype.hasOwnProperty.call(value, 'data'),
+    summarize: value => snapshotOwnProperties(value, {
+        rawInput: notYetRendered('rawInput')
+    })
+};
+
+/**
+ * The built-in adapters, in the order they are tried.
+ * @type {Array<{name: string, test: function(any): boolean, summarize: function(Object): Object}>}
+ */
+export const eleventyAdapters = [templateAdapter, templateMapAdapter, collectionItemAdapter, pageAdapter];
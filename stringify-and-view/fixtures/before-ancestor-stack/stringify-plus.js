@@ -0,0 +1,808 @@
+// stringify-plus.js as it was before the shared ancestor stack and chunked output, unchanged, so
+// stringify-plus.bench.js can time the current module against the code it replaced. Do not edit.
+
+import { eleventyAdapters } from './eleventy-adapters.js';
+
+/**
+ * Enhanced JSON stringifier with support for special values, circular references, and custom options.
+ * Uses a defaults pattern for options: defaults are defined and merged with incoming options, with options taking precedence.
+ * Handles functions, symbols, BigInts, Dates, Maps, Sets, and Eleventy-specific quirks.
+ * Eleventy internals are summarised by read-only adapters (see eleventy-adapters.js); the input is never modified.
+ * Class instances keep their constructor name as a leading `"[[Class]]"` key (or `className` in typed output),
+ * and are formatted by a matching `serializers` entry or their own `toJSON` method when present.
+ * Maps are output as `{"[Map]":[[key,value],...]}` and Sets as `{"[Set]":[member,...]}` so JSONViewer can label them.
+ *
+ * By default special values are encoded as marker strings such as `"[ undefined ]"` or `"[Circular Ref: root.a]"`.
+ * With `{ typed: true }` they are instead encoded as envelopes like `{"$type":"undefined"}`, which can never be
+ * confused with user data (see TYPE_KEY).
+ *
+ * Large inputs can be cut down with the `max*` limits. Anything cut off is replaced by a marker saying how much
+ * was omitted, e.g. `"[… 940 more items]"` or `"[truncated at depth 6]"`.
+ *
+ * @module stringify-plus
+ * @param {any} data - The data to stringify
+ * @param {Object} [options] - Optional configuration options
+ * @param {number} [options.maxCircularDepth=1] - Maximum depth for circular references
+ * @param {Array} [options.removeKeys=[]] - Array of keys to remove/replace. Entries may be key names, path globs
+ *   (`'collections.*.data.password'`, `'**.templateContent'`), RegExps tested against key names (`/token$/i`),
+ *   or objects with a `keyName`, `path` or `pattern` and their own `replaceString` (or the `{ key: replaceString }` shorthand)
+ * @param {boolean} [options.showTemplate=false] - If true, shows 'template' keys; if false, replaces them with performance message
+ * @param {boolean} [options.typed=false] - If true, encodes special values as lossless `$type` envelopes instead of marker strings
+ * @param {boolean|Object} [options.redact=false] - Replaces likely secrets with a "[redacted]" marker. `true` uses REDACT_PRESET;
+ *   an object adds custom `keys` (key names, path globs or RegExps) and `values` (RegExps or predicates for strings),
+ *   with `preset: false` to drop the built-in patterns
+ * @param {Array} [options.serializers=[]] - Formatters for class instances: `{ type: Class, serialize }` or `{ test: predicate, serialize }`,
+ *   where `serialize(value)` returns the value to output in its place
+ * @param {Array} [options.adapters=eleventyAdapters] - Adapters ({ name, test, summarize }) that replace matching objects with a snapshot
+ * @param {number} [options.maxDepth=Infinity] - Containers nested deeper than this are replaced by a "[truncated at depth N]" marker
+ * @param {number} [options.maxArrayItems=Infinity] - Arrays, Sets and Maps keep only this many items, followed by a "[… N more items]" marker
+ * @param {number} [options.maxStringLength=Infinity] - Strings are cut to this many characters, followed by a "[… N more characters]" marker
+ * @param {number} [options.maxOutputBytes=Infinity] - Approximate output budget; once exceeded, remaining items and keys are omitted with a marker
+ * @returns {Promise<string>} The compact stringified data
+ */
+export async function stringifyPlus(data, options = {}) {
+    // Define default options
+    const defaults = {
+        maxCircularDepth: 1,
+        removeKeys: [], // Array of { keyName, replaceString }
+        showTemplate: false, // Special option to show template keys
+        typed: false, // Encode special values as $type envelopes instead of marker strings
+        redact: false, // true, or { keys, values, preset }
+        serializers: [], // Array of { type, serialize } or { test, serialize }
+        adapters: eleventyAdapters, // Read-only summaries of Eleventy internals
+        maxDepth: Infinity,
+        maxArrayItems: Infinity,
+        maxStringLength: Infinity,
+        maxOutputBytes: Infinity
+    };
+    // Merge defaults with incoming options (options take precedence)
+    options = Object.assign({}, defaults, options);
+
+    // Compiled path globs from removeKeys, keyed by glob
+    const globCache = new Map();
+
+    /**
+     * Helper to test a removeKeys pattern against a key.
+     * @param {string|RegExp} pattern - A key name, a path glob, or a RegExp tested against the key name
+     * @param {string} key - The key name
+     * @param {string} path - The full path of the key (e.g. 'root.a.b')
+     * @returns {boolean}
+     */
+    function matchesKeyPattern(pattern, key, path) {
+        if (pattern instanceof RegExp) return key.search(pattern) !== -1;
+        if (typeof pattern !== 'string') return false;
+        if (!isPathGlob(pattern)) return pattern === key;
+        if (!globCache.has(pattern)) globCache.set(pattern, compilePathGlob(pattern));
+        return globCache.get(pattern)(path);
+    }
+
+    // Key and value patterns to redact, or null when redaction is off
+    const redactRules = getRedactRules(options.redact);
+
+    /**
+     * Helper to check whether a key's value should be redacted.
+     * @param {string} key - The key name
+     * @param {string} path - The full path of the key
+     * @returns {boolean}
+     */
+    function isRedactedKey(key, path) {
+        return redactRules !== null && redactRules.keys.some(pattern => matchesKeyPattern(pattern, key, path));
+    }
+
+    /**
+     * Helper to check whether a string value looks like a secret.
+     * @param {string} value - The string to check
+     * @returns {boolean}
+     */
+    function isRedactedValue(value) {
+        return redactRules !== null && redactRules.values.some(test =>
+            typeof test === 'function' ? test(value) : value.search(test) !== -1);
+    }
+
+    // Helper to find a replacement string for a key, if any
+    function getReplacementForKey(key, path) {
+        // Special case: if key is 'template' and showTemplate is true, never replace it
+        if (key === 'template' && options.showTemplate) {
+            return null;
+        }
+        
+        // Check if there's a specific removeKeys entry for this key
+        if (Array.isArray(options.removeKeys)) {
+            // First check for object entries (they take precedence)
+            for (const entry of options.removeKeys) {
+                if (typeof entry === 'object' && entry !== null && !(entry instanceof RegExp)) {
+                    // Handle the formats: {keyName, replaceString}, {path, replaceString}, {pattern, replaceString}
+                    if (matchesKeyPattern(entry.keyName, key, path) ||
+                        (typeof entry.path === 'string' && matchesKeyPattern(entry.path, key, path)) ||
+                        (entry.pattern !== undefined && matchesKeyPattern(new RegExp(entry.pattern), key, path))) {
+                        return entry.replaceString || 'Replaced as key was in supplied removeKeys';
+                    }
+                    // ...and the shorthand {key: value}
+                    if (!REMOVE_KEYS_ENTRY_FIELDS.includes(key) && entry[key] !== undefined) {
+                        return entry[key];
+                    }
+                }
+            }
+            // Then check for string, path glob and RegExp entries
+            for (const entry of options.removeKeys) {
+                if ((typeof entry === 'string' || entry instanceof RegExp) && matchesKeyPattern(entry, key, path)) {
+                    // Special case: template key gets default template replacement message
+                    if (key === 'template') {
+                        return 'Removed for performance reasons. Use { showTemplate: true } to show it';
+                    }
+                    return 'Replaced as key was in supplied removeKeys';
+                }
+            }
+        }
+        
+        // Special case: if key is 'template' and showTemplate is false, replace with default message
+        if (key === 'template' && !options.showTemplate) {
+            return 'Removed for performance reasons. Use { showTemplate: true } to show it';
+        }
+        
+        return null;
+    }
+
+    /**
+     * Helper to encode a special value, either as a typed envelope or as its legacy marker.
+     * @param {string} type - The envelope type (e.g. 'undefined', 'function', 'circular')
+     * @param {Object} fields - Extra envelope fields (e.g. { name })
+     * @param {string} legacy - The JSON to emit when typed output is off
+     * @returns {string}
+     */
+    function encodeSpecial(type, fields, legacy) {
+        if (!options.typed) return countOutput(legacy);
+        return countOutput(JSON.stringify({ [TYPE_KEY]: type, ...fields }));
+    }
+
+    /**
+     * Helper to encode a marker for omitted items, keys or characters.
+     * @param {number} omitted - How many were omitted
+     * @param {string} unit - What was omitted ('items', 'entries', 'keys')
+     * @returns {string}
+     */
+    function encodeOmitted(omitted, unit) {
+        return encodeSpecial('truncated', { omitted, unit }, JSON.stringify(formatOmitted(omitted, unit)));
+    }
+
+    // Approximate size of the output so far (leaf values and keys), checked against maxOutputBytes
+    let outputSize = 0;
+
+    /**
+     * Helper to add a leaf value or key to the running output size.
+     * @param {string} json - The JSON fragment being emitted
+     * @returns {string} The same fragment
+     */
+    function countOutput(json) {
+        outputSize += json.length;
+        return json;
+    }
+
+    /**
+     * Helper to check whether the output budget has been used up.
+     * @returns {boolean}
+     */
+    function isOverBudget() {
+        return outputSize >= options.maxOutputBytes;
+    }
+
+    // Tracks the first path where each object is seen (for circular reference reporting)
+    const seen = new WeakMap();
+    // Tracks how many times each object has been stringified in a circular context
+    const circularDepths = new WeakMap();
+
+    /**
+     * Helper to stringify a value, handling all special cases and recursion.
+     * @param {any} value - The value to stringify
+     * @param {string} path - The current path in the object tree
+     * @param {boolean} parentIsRoot - True if the parent is the root object
+     * @param {boolean} inArray - True if the value is inside an array
+     * @param {Set<object>} ancestors - Set of ancestor objects for circular detection
+     * @param {string|null} parentKey - The key of the parent property
+     * @returns {string} - The stringified value
+     */
+    function stringifyPlusInner(value, path = 'root', parentIsRoot = true, inArray = false, ancestors = new Set(), parentKey = null) {
+        // Remove/replace keys if requested
+        if (parentKey) {
+            const replacement = getReplacementForKey(parentKey, path);
+            if (replacement !== null) {
+                return encodeSpecial('replaced', { value: replacement }, JSON.stringify(replacement));
+            }
+            if (isRedactedKey(parentKey, path)) {
+                return encodeSpecial('redacted', {}, JSON.stringify(REDACTED_MARKER));
+            }
+        }
+        // If the root object itself is a single key that matches a replacement
+        if (parentIsRoot && typeof value === 'object' && value !== null && Object.keys(value).length === 1) {
+            const onlyKey = Object.keys(value)[0];
+            const replacement = getReplacementForKey(onlyKey, `${path}.${onlyKey}`);
+            if (replacement !== null) {
+                return `{${JSON.stringify(onlyKey)}:${encodeSpecial('replaced', { value: replacement }, JSON.stringify(replacement))}}`;
+            }
+        }
+
+        // Handle special primitive values
+        if (value === undefined) return encodeSpecial('undefined', {}, '"[ undefined ]"');
+        if (value === null) return countOutput('null');
+        if (typeof value === 'function') {
+            // Name functions if possible
+            const name = value.name && value.name !== 'anonymousFunction' ? value.name : 'anonymous';
+            return encodeSpecial('function', { name }, `"[function ${name}]"`);
+        }
+        if (typeof value === 'symbol') {
+            const description = value.description || '';
+            return encodeSpecial('symbol', { description }, JSON.stringify(`[Symbol ${description}]`));
+        }
+        if (typeof value === 'bigint') {
+            return encodeSpecial('bigint', { value: value.toString() }, `"${value.toString()}"`);
+        }
+        if (value instanceof Date) {
+            return encodeSpecial('date', { value: value.toJSON() }, JSON.stringify(value));
+        }
+
+        // Handle objects and arrays
+        if (typeof value === 'object') {
+            // Detect circular references
+            if (ancestors.has(value)) {
+                // Count how many times we've seen this object in a circular context
+                const count = circularDepths.get(value) || 0;
+                if (count < options.maxCircularDepth) {
+                    circularDepths.set(value, count + 1);
+                    // Recursively output the object/array again
+                    return stringifyContainer(value, path, ancestors);
+                } else {
+                    // Output the path where the reference originated (first seen)
+                    const refPath = seen.get(value) || path;
+                    return encodeSpecial('circular', { path: refPath }, JSON.stringify(`[Circular Ref: ${refPath}]`));
+                }
+            }
+            // Not a circular reference, track first seen path
+            if (!seen.has(value)) seen.set(value, path);
+            // Handle arrays, Maps, Sets and objects
+            return stringifyContainer(value, path, ancestors);
+        }
+
+        // Handle primitive values
+        if (typeof value === 'number') {
+            // JSON.stringify outputs null for non-finite numbers
+            return countOutput(Number.isFinite(value) ? value.toString() : 'null');
+        }
+        if (typeof value === 'string') {
+            if (isRedactedValue(value)) {
+                return encodeSpecial('redacted', {}, JSON.stringify(REDACTED_MARKER));
+            }
+            if (value.length > options.maxStringLength) {
+                const kept = value.slice(0, options.maxStringLength);
+                const omitted = value.length - kept.length;
+                return encodeSpecial('truncated', { value: kept, omitted, unit: 'characters' },
+                    JSON.stringify(kept + formatOmitted(omitted, 'characters')));
+            }
+            return countOutput(JSON.stringify(value));
+        }
+        if (typeof value === 'boolean') return countOutput(value.toString());
+
+        // Fallback for unknown types
+        return countOutput(`"[${typeof value} ${value?.constructor?.name || ''}]"`);
+    }
+
+    /**
+     * Helper to dispatch a container to the matching stringifier.
+     * @param {Array|Map|Set|Object} value - The container to stringify
+     * @param {string} path - The current path in the object tree
+     * @param {Set<object>} ancestors - Set of ancestor objects for circular detection
+     * @returns {string}
+     */
+    function stringifyContainer(value, path, ancestors) {
+        // The number of ancestors is the depth of this container (the root is at depth 0)
+        if (ancestors.size >= options.maxDepth) {
+            return encodeSpecial('truncated', { depth: ancestors.size }, JSON.stringify(`[truncated at depth ${ancestors.size}]`));
+        }
+        // Serializers, toJSON and adapters replace the value with another one. The replacement is output in its place,
+        // while the original stays the ancestor for circular detection and keeps its class name
+        const serializer = findSerializer(value);
+        if (serializer) return stringifyReplacement(serializer.serialize(value), value, path, ancestors);
+        if (typeof value.toJSON === 'function') return stringifyReplacement(value.toJSON(), value, path, ancestors);
+        const adapter = findAdapter(value);
+        if (adapter) return stringifyObject(adapter.summarize(value), path, ancestors, value, adapter.name);
+
+        if (Array.isArray(value)) return stringifyArray(value, path, ancestors);
+        if (value instanceof Map) return stringifyMap(value, path, ancestors);
+        if (value instanceof Set) return stringifySet(value, path, ancestors);
+        return stringifyObject(value, path, ancestors);
+    }
+
+    /**
+     * Helper to stringify the value returned by a serializer or toJSON in place of the original.
+     * @param {any} replacement - The value to output
+     * @param {Object} source - The original object
+     * @param {string} path - The current path in the object tree
+     * @param {Set<object>} ancestors - Set of ancestor objects for circular detection
+     * @returns {string}
+     */
+    function stringifyReplacement(replacement, source, path, ancestors) {
+        if (typeof replacement !== 'object' || replacement === null || replacement instanceof Date) {
+            return stringifyPlusInner(replacement, path, false, false, ancestors, null);
+        }
+        if (Array.isArray(replacement)) return stringifyArray(replacement, path, ancestors, source);
+        if (replacement instanceof Map) return stringifyMap(replacement, path, ancestors, source);
+        if (replacement instanceof Set) return stringifySet(replacement, path, ancestors, source);
+        return stringifyObject(replacement, path, ancestors, source, getClassName(source));
+    }
+
+    /**
+     * Helper to find the first serializer that matches an object, by constructor (`type`) or predicate (`test`).
+     * @param {Object} value - The object to check
+     * @returns {Object|undefined} The serializer, if any
+     */
+    function findSerializer(value) {
+        if (!Array.isArray(options.serializers)) return undefined;
+        return options.serializers.find(serializer =>
+            (typeof serializer.type === 'function' && value instanceof serializer.type) ||
+            (typeof serializer.test === 'function' && serializer.test(value)));
+    }
+
+    /**
+     * Helper to find the first adapter that recognises an object.
+     * @param {Object} value - The object to check
+     * @returns {Object|undefined} The adapter, if any
+     */
+    function findAdapter(value) {
+        if (!Array.isArray(options.adapters)) return undefined;
+        return options.adapters.find(adapter => adapter.test(value));
+    }
+
+    /**
+     * Helper to stringify a list of items, stopping at maxArrayItems or when the output budget is used up.
+     * @param {number} length - The number of items
+     * @param {function(number): string} stringifyItem - Stringifies the item at an index
+     * @param {string} unit - What the items are called in the omitted marker
+     * @param {function(string): string} [wrapMarker] - Wraps the omitted marker to fit the list (e.g. as a Map entry)
+     * @returns {string[]} The stringified items
+     */
+    function stringifyItems(length, stringifyItem, unit, wrapMarker = marker => marker) {
+        const items = [];
+        for (let index = 0; index < length; index++) {
+            if (index >= options.maxArrayItems || isOverBudget()) {
+                items.push(wrapMarker(encodeOmitted(length - index, unit)));
+                break;
+            }
+            items.push(stringifyItem(index));
+        }
+        return items;
+    }
+
+    /**
+     * Helper to stringify arrays, handling circular references and special values.
+     * @param {Array} arr - The array to stringify
+     * @param {string} path - The current path in the object tree
+     * @param {Set<object>} ancestors - Set of ancestor objects for circular detection
+     * @param {Object} [source=arr] - The original object when arr replaces it
+     * @returns {string}
+     */
+    function stringifyArray(arr, path, ancestors, source = arr) {
+        const nextAncestors = new Set([...ancestors, source]);
+        const elements = stringifyItems(arr.length, index =>
+            stringifyPlusInner(arr[index], `${path}[${index}]`, false, true, nextAncestors, null), 'items');
+        return `[${elements.join(',')}]`;
+    }
+
+    /**
+     * Helper to stringify Maps as a list of [key, value] entries.
+     * Keys may be any value, so both keys and values are stringified recursively.
+     * @param {Map} map - The Map to stringify
+     * @param {string} path - The current path in the object tree
+     * @param {Set<object>} ancestors - Set of ancestor objects for circular detection
+     * @param {Object} [source=map] - The original object when map replaces it
+     * @returns {string}
+     */
+    function stringifyMap(map, path, ancestors, source = map) {
+        const nextAncestors = new Set([...ancestors, source]);
+        const mapEntries = [...map];
+        const entries = stringifyItems(mapEntries.length, index => {
+            const [key, val] = mapEntries[index];
+            const entryPath = `${path}[[Entries]][${index}]`;
+            const keyString = stringifyPlusInner(key, `${entryPath}[0]`, false, true, nextAncestors, null);
+            const valString = stringifyPlusInner(val, `${entryPath}[1]`, false, true, nextAncestors, null);
+            return `[${keyString},${valString}]`;
+        }, 'entries', marker => `["[…]",${marker}]`);
+        if (options.typed) return `{"${TYPE_KEY}":"map","entries":[${entries.join(',')}]}`;
+        return `{"[Map]":[${entries.join(',')}]}`;
+    }
+
+    /**
+     * Helper to stringify Sets as a list of members.
+     * @param {Set} set - The Set to stringify
+     * @param {string} path - The current path in the object tree
+     * @param {Set<object>} ancestors - Set of ancestor objects for circular detection
+     * @param {Object} [source=set] - The original object when set replaces it
+     * @returns {string}
+     */
+    function stringifySet(set, path, ancestors, source = set) {
+        const nextAncestors = new Set([...ancestors, source]);
+        const setMembers = [...set];
+        const members = stringifyItems(setMembers.length, index =>
+            stringifyPlusInner(setMembers[index], `${path}[[Entries]][${index}]`, false, true, nextAncestors, null), 'items');
+        if (options.typed) return `{"${TYPE_KEY}":"set","values":[${members.join(',')}]}`;
+        return `{"[Set]":[${members.join(',')}]}`;
+    }
+
+    /**
+     * Helper to stringify objects, handling circular references and special values.
+     * Class instances get a leading `"[[Class]]"` key. In typed mode, class instances and objects that would be
+     * mistaken for an envelope are instead wrapped as `{"$type":"object","className":...,"value":{...}}`.
+     * @param {Object} obj - The object to stringify
+     * @param {string} path - The current path in the object tree
+     * @param {Set<object>} ancestors - Set of ancestor objects for circular detection
+     * @param {Object} [source=obj] - The original object when obj is an adapter snapshot
+     * @param {string|null} [className] - Class name to record in typed mode (defaults to the constructor name)
+     * @returns {string}
+     */
+    function stringifyObject(obj, path, ancestors, source = obj, className = getClassName(obj)) {
+        const nextAncestors = new Set([...ancestors, source]);
+        const keys = Object.keys(obj);
+        const pairs = [];
+        if (className && !options.typed) {
+            pairs.push(`${JSON.stringify(CLASS_KEY)}:${countOutput(JSON.stringify(className))}`);
+        }
+        for (const [index, key] of keys.entries()) {
+            if (isOverBudget()) {
+                pairs.push(`"[…]":${encodeOmitted(keys.length - index, 'keys')}`);
+                break;
+            }
+            const keyString = countOutput(JSON.stringify(key));
+            // Remove/replace keys if requested
+            const replacement = getReplacementForKey(key, `${path}.${key}`);
+            if (replacement !== null) {
+                pairs.push(`${keyString}:${encodeSpecial('replaced', { value: replacement }, JSON.stringify(replacement))}`);
+                continue;
+            }
+            // Recursively stringify property (special values are handled by stringifyPlusInner)
+            pairs.push(`${keyString}:${stringifyPlusInner(obj[key], `${path}.${key}`, false, false, nextAncestors, key)}`);
+        }
+        const body = `{${pairs.join(',')}}`;
+        if (!options.typed) return body;
+
+        if (className || Object.prototype.hasOwnProperty.call(obj, TYPE_KEY)) {
+            const classField = className ? `,"className":${JSON.stringify(className)}` : '';
+            return `{"${TYPE_KEY}":"object"${classField},"value":${body}}`;
+        }
+        return body;
+    }
+
+    // Start the stringification process
+    return stringifyPlusInner(data);
+}
+
+/**
+ * Key used to tag typed envelopes when stringifyPlus is called with `{ typed: true }`.
+ * @type {string}
+ */
+export const TYPE_KEY = '$type';
+
+/**
+ * Key that records a class instance's constructor name in untyped output, e.g. `{"[[Class]]":"Person","name":"Ann"}`.
+ * @type {string}
+ */
+export const CLASS_KEY = '[[Class]]';
+
+/**
+ * Marker that replaces redacted values.
+ * @type {string}
+ */
+export const REDACTED_MARKER = '[redacted]';
+
+/**
+ * Built-in redaction patterns used by `{ redact: true }`.
+ * `keys` match secret-looking key names; `values` match strings that look like credentials
+ * (JWTs, Authorization header values, well-known token prefixes, and long high-entropy hex/base64).
+ * @type {{keys: RegExp[], values: Array<RegExp|function(string): boolean>}}
+ */
+export const REDACT_PRESET = {
+    keys: [
+        /passw(or)?d/i,
+        /^pwd$/i,
+        /secret/i,
+        /token/i,
+        /api[-_]?key/i,
+        /^authorization$/i,
+        /^auth$/i,
+        /cookie/i,
+        /private[-_]?key/i,
+        /session[-_]?id/i,
+        /credentials?$/i
+    ],
+    values: [
+        /^eyJ[\w-]+\.[\w-]+\.[\w-]*$/, // JWT
+        /^(Bearer|Basic|Token)\s+\S+$/i, // Authorization header values
+        /^(sk|pk|rk)_(live|test)_[A-Za-z0-9]{16,}$/, // Stripe-style keys
+        /^gh[pousr]_[A-Za-z0-9]{36,}$/, // GitHub tokens
+        /^xox[abprs]-[A-Za-z0-9-]{10,}$/, // Slack tokens
+        /^AKIA[0-9A-Z]{16}$/, // AWS access key IDs
+        isHighEntropySecret
+    ]
+};
+
+/**
+ * Resolves the redact option into key and value patterns.
+ * @param {boolean|Object} redact - The redact option
+ * @returns {{keys: Array, values: Array}|null} The patterns, or null when redaction is off
+ */
+function getRedactRules(redact) {
+    if (!redact) return null;
+    const custom = typeof redact === 'object' ? redact : {};
+    const usePreset = custom.preset !== false;
+    return {
+        keys: [...(usePreset ? REDACT_PRESET.keys : []), ...(custom.keys || [])],
+        values: [...(usePreset ? REDACT_PRESET.values : []), ...(custom.values || [])]
+    };
+}
+
+/**
+ * Checks whether a string is a long, high-entropy hex or base64 string (e.g. an API key or hash-like secret).
+ * Requires both letters and digits (and mixed case for base64) so long words and slugs are not caught.
+ * @param {string} value - The string to check
+ * @returns {boolean}
+ */
+function isHighEntropySecret(value) {
+    const isHex = /^[0-9a-f]{32,}$/i.test(value);
+    const isBase64 = /^[A-Za-z0-9+/_-]{32,}={0,2}$/.test(value);
+    if (!isHex && !isBase64) return false;
+    if (!/\d/.test(value) || !/[A-Za-z]/.test(value)) return false;
+    // Base64 secrets mix upper and lower case, unlike slugs and identifiers
+    if (!isHex && (!/[a-z]/.test(value) || !/[A-Z]/.test(value))) return false;
+
+    // Shannon entropy in bits per character
+    const counts = new Map();
+    for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const p = count / value.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy >= (isHex ? 3 : 4.2);
+}
+
+/**
+ * Fields of a removeKeys object entry that are not themselves key names (see the `{ key: replaceString }` shorthand).
+ * @type {string[]}
+ */
+const REMOVE_KEYS_ENTRY_FIELDS = ['keyName', 'replaceString', 'path', 'pattern'];
+
+/**
+ * Checks whether a removeKeys string is a path glob rather than a bare key name.
+ * @param {string} pattern - The removeKeys entry
+ * @returns {boolean}
+ */
+function isPathGlob(pattern) {
+    return /[.*[]/.test(pattern);
+}
+
+/**
+ * Compiles a path glob such as 'collections.*.data.password' or '**.templateContent' into a matcher for
+ * stringifyPlus paths (e.g. 'root.collections.all[0].data.password').
+ * Globs are matched step by step, where a step is a key plus any array indices after it (e.g. 'all[0]').
+ * `*` matches any characters within a step and `**` matches any number of steps, including none.
+ * @param {string} glob - The path glob, optionally starting with 'root.'
+ * @returns {function(string): boolean} Tests a full path against the glob
+ */
+function compilePathGlob(glob) {
+    const toSteps = path => path.replace(/^root(\.|(?=\[)|$)/, '').split('.').filter(step => step !== '');
+    const globSteps = toSteps(glob).map(step => step === '**'
+        ? step
+        : new RegExp('^' + step.split('*').map(part => part.replace(/[\\^$+?.()|[\]{}]/g, '\\$&')).join('.*') + '$'));
+
+    const matchSteps = (globIndex, pathSteps, pathIndex) => {
+        if (globIndex === globSteps.length) return pathIndex === pathSteps.length;
+        const step = globSteps[globIndex];
+        if (step === '**') {
+            for (let i = pathIndex; i <= pathSteps.length; i++) {
+                if (matchSteps(globIndex + 1, pathSteps, i)) return true;
+            }
+            return false;
+        }
+        return pathIndex < pathSteps.length && step.test(pathSteps[pathIndex]) && matchSteps(globIndex + 1, pathSteps, pathIndex + 1);
+    };
+
+    return path => matchSteps(0, toSteps(path), 0);
+}
+
+/**
+ * Formats the marker text for omitted items, e.g. "[… 940 more items]".
+ * @param {number} omitted - How many were omitted
+ * @param {string} unit - What was omitted ('items', 'entries', 'keys', 'characters')
+ * @returns {string}
+ */
+function formatOmitted(omitted, unit) {
+    return `[… ${omitted} more ${unit}]`;
+}
+
+/**
+ * Returns the constructor name of a class instance, or null for plain objects.
+ * @param {Object} obj - The object to inspect
+ * @returns {string|null}
+ */
+function getClassName(obj) {
+    const proto = Object.getPrototypeOf(obj);
+    if (proto === null || proto === Object.prototype) return null;
+    const name = proto.constructor && proto.constructor.name;
+    return name && name !== 'Object' ? name : null;
+}
+
+/**
+ * Companion to stringifyPlus: parses its output and turns the special markers back into real values.
+ * Uses the same defaults pattern for options as stringifyPlus.
+ *
+ * - `undefined` markers become `undefined`
+ * - Dates become `Date` objects and BigInts become `bigint`
+ * - Symbols become new symbols with the same description
+ * - Maps and Sets become `Map` and `Set` instances
+ * - Circular-ref markers become shared references to the object at the recorded path
+ *
+ * Functions cannot be revived and are left as their `"[function name]"` marker.
+ * Without `typed`, dates and BigInts are plain strings in the output, so they are revived heuristically:
+ * strings in `Date.prototype.toJSON` format become Dates, and integer strings outside the safe integer range become BigInts.
+ *
+ * @param {string} text - The output of stringifyPlus
+ * @param {Object} [options] - Optional configuration options
+ * @param {boolean} [options.typed=false] - Must match the `typed` option the text was produced with
+ * @param {boolean} [options.reviveDates=true] - Without `typed`, revive ISO date strings as Dates
+ * @param {boolean} [options.reviveBigInts=true] - Without `typed`, revive unsafe integer strings as BigInts
+ * @returns {any} The revived data
+ */
+export function parsePlus(text, options = {}) {
+    // Define default options
+    const defaults = {
+        typed: false,
+        reviveDates: true,
+        reviveBigInts: true
+    };
+    // Merge defaults with incoming options (options take precedence)
+    options = Object.assign({}, defaults, options);
+
+    // Revived containers by the path stringifyPlus recorded them under, used to resolve circular refs.
+    // Containers are registered before their children are revived, so a ref to an ancestor always resolves.
+    const byPath = new Map();
+
+    /**
+     * Helper to revive a legacy marker string, or return the string unchanged.
+     * @param {string} value - The string to revive
+     * @returns {any}
+     */
+    function reviveString(value) {
+        if (options.typed) return value;
+        if (value === '[ undefined ]') return undefined;
+        if (value.startsWith('[Circular Ref: ') && value.endsWith(']')) {
+            const refPath = value.slice('[Circular Ref: '.length, -1);
+            return byPath.has(refPath) ? byPath.get(refPath) : value;
+        }
+        if (value.startsWith('[Symbol ') && value.endsWith(']')) {
+            return Symbol(value.slice('[Symbol '.length, -1));
+        }
+        if (options.reviveDates && ISO_DATE_PATTERN.test(value)) {
+            return new Date(value);
+        }
+        if (options.reviveBigInts && /^-?\d+$/.test(value) && !Number.isSafeInteger(Number(value))) {
+            return BigInt(value);
+        }
+        return value;
+    }
+
+    /**
+     * Helper to revive a typed envelope.
+     * @param {Object} envelope - The envelope, e.g. { $type: 'bigint', value: '10' }
+     * @param {string} path - The current path in the object tree
+     * @returns {any}
+     */
+    function reviveEnvelope(envelope, path) {
+        switch (envelope[TYPE_KEY]) {
+            case 'undefined':
+                return undefined;
+            case 'function':
+                return `[function ${envelope.name}]`;
+            case 'symbol':
+                return Symbol(envelope.description);
+            case 'bigint':
+                return BigInt(envelope.value);
+            case 'date':
+                return new Date(envelope.value === null ? NaN : envelope.value);
+            case 'circular':
+                return byPath.has(envelope.path) ? byPath.get(envelope.path) : `[Circular Ref: ${envelope.path}]`;
+            case 'replaced':
+                return envelope.value;
+            case 'redacted':
+                return REDACTED_MARKER;
+            case 'truncated':
+                // Truncated data cannot be restored, so keep the same marker untyped output would have
+                if (envelope.depth !== undefined) return `[truncated at depth ${envelope.depth}]`;
+                return (envelope.value || '') + formatOmitted(envelope.omitted, envelope.unit);
+            case 'map':
+                return reviveMap(envelope.entries, path);
+            case 'set':
+                return reviveSet(envelope.values, path);
+            case 'object':
+                return reviveObject(envelope.value, path);
+            default:
+                return reviveObject(envelope, path);
+        }
+    }
+
+    /**
+     * Helper to revive a Map from its [key, value] entries.
+     * @param {Array} entries - The entries
+     * @param {string} path - The current path in the object tree
+     * @returns {Map}
+     */
+    function reviveMap(entries, path) {
+        const map = new Map();
+        byPath.set(path, map);
+        entries.forEach(([key, val], index) => {
+            const entryPath = `${path}[[Entries]][${index}]`;
+            map.set(revive(key, `${entryPath}[0]`), revive(val, `${entryPath}[1]`));
+        });
+        return map;
+    }
+
+    /**
+     * Helper to revive a Set from its members.
+     * @param {Array} members - The members
+     * @param {string} path - The current path in the object tree
+     * @returns {Set}
+     */
+    function reviveSet(members, path) {
+        const set = new Set();
+        byPath.set(path, set);
+        members.forEach((item, index) => set.add(revive(item, `${path}[[Entries]][${index}]`)));
+        return set;
+    }
+
+    /**
+     * Helper to revive a plain object.
+     * @param {Object} obj - The parsed object
+     * @param {string} path - The current path in the object tree
+     * @returns {Object}
+     */
+    function reviveObject(obj, path) {
+        const result = {};
+        byPath.set(path, result);
+        for (const key of Object.keys(obj)) {
+            // Classes cannot be restored, so the recorded class name is dropped
+            if (key === CLASS_KEY && !options.typed) continue;
+            result[key] = revive(obj[key], `${path}.${key}`);
+        }
+        return result;
+    }
+
+    /**
+     * Helper to revive any parsed value, recursing into containers.
+     * @param {any} value - The parsed value
+     * @param {string} path - The current path in the object tree
+     * @returns {any}
+     */
+    function revive(value, path) {
+        if (typeof value === 'string') return reviveString(value);
+        if (typeof value !== 'object' || value === null) return value;
+        if (Array.isArray(value)) {
+            const arr = [];
+            byPath.set(path, arr);
+            value.forEach((item, index) => { arr[index] = revive(item, `${path}[${index}]`); });
+            return arr;
+        }
+        if (options.typed) {
+            return typeof value[TYPE_KEY] === 'string' ? reviveEnvelope(value, path) : reviveObject(value, path);
+        }
+        const keys = Object.keys(value);
+        if (keys.length === 1 && Array.isArray(value[keys[0]])) {
+            if (keys[0] === '[Map]') return reviveMap(value['[Map]'], path);
+            if (keys[0] === '[Set]') return reviveSet(value['[Set]'], path);
+        }
+        return reviveObject(value, path);
+    }
+
+    return revive(JSON.parse(text), 'root');
+}
+
+/**
+ * Matches the output of `Date.prototype.toJSON`, used to revive dates from untyped output.
+ * @type {RegExp}
+ */
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
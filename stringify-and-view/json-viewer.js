@@ -6,7 +6,10 @@
 // Author: [Your Name]
 //
 
+import fs from "node:fs";
+import path from "node:path";
 import { stringifyPlus } from "./stringify-plus.js";
+import { ENTRIES_SEGMENT, rootPath, appendPath, parsePath } from "./path-format.js";
 /**
  * JSON Viewer Module and Filter
  * Provides a collapsible, interactive JSON viewer with syntax highlighting
@@ -16,6 +19,248 @@ import { stringifyPlus } from "./stringify-plus.js";
  * @module json-viewer
  */
 
+/**
+ * How a viewer's CSS and script reach the page:
+ * - 'inline': in a <style> and <script> next to the viewer (deduplicated per page by jsonViewerPlugin)
+ * - 'external': as links to the json-viewer.css and json-viewer.js files that jsonViewerPlugin writes to the site
+ * - 'none': not at all, for pages that already include them
+ * @type {string[]}
+ */
+const RUNTIME_MODES = ['inline', 'external', 'none'];
+
+/**
+ * The fonts and spacing behind the viewer's CSS, as --json-viewer-* custom properties. They are the same in every theme
+ * @type {Object<string, string>}
+ */
+const THEME_LAYOUT = {
+  'font-family': 'monospace',
+  'font-size': '1em',
+  'small-font-size': '0.8em',
+  'line-height': '1.4',
+  'padding': '16px',
+  'margin': '8px 0',
+  'border-radius': '4px',
+  'gap': '4px',
+  'toggle-space': '16px',
+  'controls-spacing': '12px',
+  'block-spacing': '8px',
+  'title-font-size': '1.1em',
+  'panel-font-size': '0.88em',
+  'panel-padding': '4px 10px',
+  'panel-spacing': '2px',
+  'path-font-size': '0.95em',
+  'button-padding': '2px 4px',
+  'tooltip-font-size': '0.85em',
+  'tooltip-padding': '2px 8px',
+  'badge-padding': '0 4px',
+  'badge-border-radius': '3px',
+  'match-border-radius': '2px',
+  'search-gap': '6px',
+  'search-count-font-size': '0.9em',
+  'input-padding': '1px 4px',
+  'search-button-padding': '0 6px',
+  'controls-toggle-padding': '2px 10px',
+  'source-margin': '2px 0',
+  'source-padding': '4px 8px',
+  'indent': '6px',
+  'border-width': '1px',
+  'focus-outline-width': '2px',
+  'focus-outline-offset': '1px',
+  'toggle-size': '14px',
+  'icon-size': '16px',
+  'panel-shadow-offset': '0 2px 8px',
+  'panel-hover-margin': '12px',
+  'panel-hover-height': '36px',
+  'search-input-width': '14em',
+  'search-count-width': '5em',
+  'redacted-letter-spacing': '0.05em'
+};
+
+/**
+ * The colours of each built-in theme, as --json-viewer-* custom properties. Every theme sets every colour
+ * @type {Object<string, Object<string, string>>}
+ */
+const THEMES = {
+  light: {
+    'color-scheme': 'light',
+    'color': '#333',
+    'background': '#fff',
+    'border-color': '#ddd',
+    'muted-color': '#666',
+    'key-color': '#0066cc',
+    'link-color': '#1a5fb4',
+    'focus-color': '#1a5fb4',
+    'accent-color': '#0056b3',
+    'icon-color': '#888',
+    'panel-color': '#222',
+    'panel-background': '#f9f9f9',
+    'panel-border-color': '#ccc',
+    'panel-shadow-color': 'rgba(0,0,0,0.08)',
+    'tooltip-color': '#fff',
+    'tooltip-background': '#222',
+    'control-color': '#333',
+    'control-background': '#f0f0f0',
+    'control-hover-background': '#e0eaff',
+    'control-border-color': '#bbb',
+    'input-background': '#fff',
+    'invalid-color': '#d32f2f',
+    'string-color': '#008000',
+    'number-color': '#6c757d',
+    'boolean-color': '#6c757d',
+    'null-color': '#6c757d',
+    'function-color': '#6c757d',
+    'opaque-color': '#6c757d',
+    'date-color': '#d63384',
+    'regexp-color': '#b35900',
+    'bytes-color': '#6f42c1',
+    'getter-color': '#6f42c1',
+    'circular-color': '#dc3545',
+    'error-color': '#c62828',
+    'warning-color': '#b45309',
+    'warning-background': '#fff4e5',
+    'replaced-color': '#ffb300',
+    'redacted-color': '#fff',
+    'redacted-background': '#555',
+    'truncated-color': '#8a6d3b',
+    'truncated-background': '#fcf8e3',
+    'pending-color': '#8a6d3b',
+    'source-background': '#f6f8fa',
+    'highlight-background': '#fff3b0',
+    'match-color': 'currentColor',
+    'match-background': '#fff3a3',
+    'match-current-background': '#ffb454',
+    'match-current-outline-color': '#e08a00'
+  },
+  dark: {
+    'color-scheme': 'dark',
+    'color': '#d4d4d4',
+    'background': '#1e1e1e',
+    'border-color': '#3c3c3c',
+    'muted-color': '#9d9d9d',
+    'key-color': '#9cdcfe',
+    'link-color': '#4fc1ff',
+    'focus-color': '#4fc1ff',
+    'accent-color': '#75beff',
+    'icon-color': '#9d9d9d',
+    'panel-color': '#d4d4d4',
+    'panel-background': '#252526',
+    'panel-border-color': '#454545',
+    'panel-shadow-color': 'rgba(0,0,0,0.5)',
+    'tooltip-color': '#1e1e1e',
+    'tooltip-background': '#d4d4d4',
+    'control-color': '#d4d4d4',
+    'control-background': '#2d2d2d',
+    'control-hover-background': '#37475a',
+    'control-border-color': '#555',
+    'input-background': '#252526',
+    'invalid-color': '#f48771',
+    'string-color': '#ce9178',
+    'number-color': '#b5cea8',
+    'boolean-color': '#569cd6',
+    'null-color': '#808080',
+    'function-color': '#dcdcaa',
+    'opaque-color': '#808080',
+    'date-color': '#d670d6',
+    'regexp-color': '#d16969',
+    'bytes-color': '#c586c0',
+    'getter-color': '#c586c0',
+    'circular-color': '#f48771',
+    'error-color': '#f48771',
+    'warning-color': '#ffb86c',
+    'warning-background': '#3d2a12',
+    'replaced-color': '#e5c07b',
+    'redacted-color': '#1e1e1e',
+    'redacted-background': '#bbb',
+    'truncated-color': '#e5c07b',
+    'truncated-background': '#3a3520',
+    'pending-color': '#e5c07b',
+    'source-background': '#252526',
+    'highlight-background': '#4d4a1e',
+    'match-color': 'currentColor',
+    'match-background': '#5c4a00',
+    'match-current-background': '#9e6a03',
+    'match-current-outline-color': '#d19a00'
+  },
+  'high-contrast': {
+    'color-scheme': 'dark',
+    'color': '#fff',
+    'background': '#000',
+    'border-color': '#fff',
+    'muted-color': '#e0e0e0',
+    'key-color': '#5cd6ff',
+    'link-color': '#9ecbff',
+    'focus-color': '#ffff00',
+    'accent-color': '#ffff00',
+    'icon-color': '#fff',
+    'panel-color': '#fff',
+    'panel-background': '#000',
+    'panel-border-color': '#fff',
+    'panel-shadow-color': 'transparent',
+    'tooltip-color': '#000',
+    'tooltip-background': '#fff',
+    'control-color': '#fff',
+    'control-background': '#000',
+    'control-hover-background': '#333',
+    'control-border-color': '#fff',
+    'input-background': '#000',
+    'invalid-color': '#ff8080',
+    'string-color': '#7cfc00',
+    'number-color': '#ffd700',
+    'boolean-color': '#ffa3ff',
+    'null-color': '#d0d0d0',
+    'function-color': '#ffd966',
+    'opaque-color': '#d0d0d0',
+    'date-color': '#ff9ee0',
+    'regexp-color': '#ffb366',
+    'bytes-color': '#d9b3ff',
+    'getter-color': '#d9b3ff',
+    'circular-color': '#ff8080',
+    'error-color': '#ff8080',
+    'warning-color': '#000',
+    'warning-background': '#ffb000',
+    'replaced-color': '#ffd000',
+    'redacted-color': '#000',
+    'redacted-background': '#fff',
+    'truncated-color': '#000',
+    'truncated-background': '#ffd000',
+    'pending-color': '#ffd000',
+    'source-background': '#111',
+    'highlight-background': '#004d80',
+    'match-color': '#000',
+    'match-background': '#ffff00',
+    'match-current-background': '#ff9900',
+    'match-current-outline-color': '#fff'
+  }
+};
+
+/**
+ * The values of the theme option: the built-in themes, or 'auto' for light or dark following prefers-color-scheme
+ * (and high contrast following prefers-contrast)
+ * @type {string[]}
+ */
+const THEME_NAMES = [...Object.keys(THEMES), 'auto'];
+
+/**
+ * Writes values as --json-viewer-* custom property declarations
+ * @param {Object<string, string>} values - Values by property name, without the prefix
+ * @returns {string} CSS declarations
+ */
+function customProperties(values) {
+  return Object.entries(values).map(([name, value]) => `--json-viewer-${name}: ${value};`).join('\n      ');
+}
+
+// Marks the runtime tags, so jsonViewerPlugin can keep only the first of each on a page
+const RUNTIME_ATTRIBUTE = 'data-json-viewer-runtime';
+
+/**
+ * Escapes a value for a single-quoted HTML attribute
+ * @param {string} value - The value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+  return String(value).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 const JSONViewerModule = {
   /**
    * Generates a unique ID for each JSON viewer instance
@@ -28,47 +273,76 @@ const JSONViewerModule = {
    * @returns {string} CSS styles as a template literal
    */
   getStyles: () => `
+    /* Defaults and themes have no specificity, so a page's own --json-viewer-* values always win */
+    :where(.json-viewer-container) {
+      ${customProperties(THEME_LAYOUT)}
+      ${customProperties(THEMES.light)}
+    }
+
+    :where(.json-viewer-container[data-theme="dark"]) {
+      ${customProperties(THEMES.dark)}
+    }
+
+    :where(.json-viewer-container[data-theme="high-contrast"]) {
+      ${customProperties(THEMES['high-contrast'])}
+    }
+
+    @media (prefers-color-scheme: dark) {
+      :where(.json-viewer-container[data-theme="auto"]) {
+        ${customProperties(THEMES.dark)}
+      }
+    }
+
+    @media (prefers-contrast: more) {
+      :where(.json-viewer-container[data-theme="auto"]) {
+        ${customProperties(THEMES['high-contrast'])}
+      }
+    }
     .json-viewer-container {
-      font-family: monospace;
-      line-height: 1.4;
-      color: #333;
-      background: #fff;
-      padding: 16px;
-      border: 1px solid #ddd;
-      border-radius: 4px;
-      margin: 8px 0;
+      font-family: var(--json-viewer-font-family);
+      font-size: var(--json-viewer-font-size);
+      color-scheme: var(--json-viewer-color-scheme);
+      line-height: var(--json-viewer-line-height);
+      color: var(--json-viewer-color);
+      background: var(--json-viewer-background);
+      padding: var(--json-viewer-padding);
+      border: var(--json-viewer-border-width) solid var(--json-viewer-border-color);
+      border-radius: var(--json-viewer-border-radius);
+      margin: var(--json-viewer-margin);
     }
 
     .json-viewer-title {
       font-weight: bold;
-      font-size: 1.1em;
-      margin-bottom: 8px;
+      font-size: var(--json-viewer-title-font-size);
+      margin-bottom: var(--json-viewer-block-spacing);
     }
 
+    /* Each node sets --json-viewer-depth on itself */
     .json-viewer-node {
       position: relative;
+      margin-left: calc(var(--json-viewer-indent) * var(--json-viewer-depth, 0));
     }
 
     .json-viewer-header {
       display: flex;
       align-items: flex-start;
-      gap: 4px;
-      padding-left: 16px;
-      min-height: 14px;
+      gap: var(--json-viewer-gap);
+      padding-left: var(--json-viewer-toggle-space);
+      min-height: var(--json-viewer-toggle-size);
     }
 
     .json-viewer-toggle {
       cursor: pointer;
       user-select: none;
-      width: 14px;
-      height: 14px;
+      width: var(--json-viewer-toggle-size);
+      height: var(--json-viewer-toggle-size);
       display: inline-flex;
       align-items: center;
       justify-content: center;
       position: absolute;
       left: 0;
       top: 0;
-      color: #666;
+      color: var(--json-viewer-muted-color);
     }
 
     .json-viewer-key-wrapper {
@@ -77,7 +351,7 @@ const JSONViewerModule = {
     }
 
     .json-viewer-key {
-      color: #0066cc;
+      color: var(--json-viewer-key-color);
       position: relative;
       cursor: pointer;
     }
@@ -88,16 +362,16 @@ const JSONViewerModule = {
       left: 0;
       top: 100%;
       z-index: 10;
-      background: #f9f9f9;
-      border: 1px solid #ccc;
-      border-radius: 4px;
-      padding: 4px 10px;
-      margin-top: 2px;
-      box-shadow: 0 2px 8px rgba(0,0,0,0.08);
-      font-size: 0.88em;
+      background: var(--json-viewer-panel-background);
+      border: var(--json-viewer-border-width) solid var(--json-viewer-panel-border-color);
+      border-radius: var(--json-viewer-border-radius);
+      padding: var(--json-viewer-panel-padding);
+      margin-top: var(--json-viewer-panel-spacing);
+      box-shadow: var(--json-viewer-panel-shadow-offset) var(--json-viewer-panel-shadow-color);
+      font-size: var(--json-viewer-panel-font-size);
       white-space: nowrap;
       overflow-x: auto;
-      color: #222;
+      color: var(--json-viewer-panel-color);
       display: flex;
       align-items: center;
       pointer-events: auto;
@@ -106,29 +380,29 @@ const JSONViewerModule = {
 
     .json-viewer-key-panel-buffer {
       position: absolute;
-      left: -12px;
+      left: calc(-1 * var(--json-viewer-panel-hover-margin));
       top: 88%;
       z-index: 9;
-      width: calc(100% + 24px);
-      height: 36px;
+      width: calc(100% + 2 * var(--json-viewer-panel-hover-margin));
+      height: var(--json-viewer-panel-hover-height);
       pointer-events: auto;
       background: transparent;
     }
 
     .json-viewer-key-path {
-      font-family: monospace;
-      font-size: 0.95em;
-      margin-right: 8px;
+      font-family: var(--json-viewer-font-family);
+      font-size: var(--json-viewer-path-font-size);
+      margin-right: var(--json-viewer-block-spacing);
       word-break: break-all;
     }
 
     .json-viewer-copy-btn {
-      margin-left: 4px;
-      padding: 2px 4px;
-      font-size: 1em;
+      margin-left: var(--json-viewer-gap);
+      padding: var(--json-viewer-button-padding);
+      font-size: inherit;
       border: none;
       background: none;
-      color: #333;
+      color: var(--json-viewer-color);
       cursor: pointer;
       display: inline-flex;
       align-items: center;
@@ -136,31 +410,31 @@ const JSONViewerModule = {
     }
 
     .json-viewer-copy-btn svg {
-      width: 16px;
-      height: 16px;
+      width: var(--json-viewer-icon-size);
+      height: var(--json-viewer-icon-size);
       vertical-align: middle;
-      fill: #888;
+      fill: var(--json-viewer-icon-color);
       transition: fill 0.2s;
     }
 
     .json-viewer-copy-btn:hover svg {
-      fill: #0056b3;
+      fill: var(--json-viewer-accent-color);
     }
 
     .json-viewer-copy-btn .json-viewer-tooltip {
       visibility: hidden;
       opacity: 0;
-      background: #222;
-      color: #fff;
+      background: var(--json-viewer-tooltip-background);
+      color: var(--json-viewer-tooltip-color);
       text-align: center;
-      border-radius: 4px;
-      padding: 2px 8px;
+      border-radius: var(--json-viewer-border-radius);
+      padding: var(--json-viewer-tooltip-padding);
       position: absolute;
       z-index: 20;
       bottom: 125%;
       left: 50%;
       transform: translateX(-50%);
-      font-size: 0.85em;
+      font-size: var(--json-viewer-tooltip-font-size);
       white-space: nowrap;
       pointer-events: none;
       transition: opacity 0.2s;
@@ -172,124 +446,354 @@ const JSONViewerModule = {
     }
 
     .json-viewer-string {
-      color: #008000;
+      color: var(--json-viewer-string-color);
     }
 
     .json-viewer-number {
-      color: #6c757d;
+      color: var(--json-viewer-number-color);
       font-style: italic;
     }
 
+    .json-viewer-number-warning {
+      color: var(--json-viewer-warning-color);
+      background: var(--json-viewer-warning-background);
+      border-radius: var(--json-viewer-badge-border-radius);
+      padding: var(--json-viewer-badge-padding);
+      font-weight: bold;
+    }
+
     .json-viewer-boolean {
-      color: #6c757d;
+      color: var(--json-viewer-boolean-color);
       font-style: italic;
     }
 
     .json-viewer-null {
-      color: #6c757d;
+      color: var(--json-viewer-null-color);
       font-style: italic;
     }
 
     .json-viewer-undefined {
-      color: #6c757d;
+      color: var(--json-viewer-null-color);
       font-style: italic;
     }
 
     .json-viewer-function {
-      color: #6c757d;
+      color: var(--json-viewer-function-color);
       font-style: italic;
     }
 
     .json-viewer-circ-ref {
-      color: #dc3545;
+      color: var(--json-viewer-circular-color);
+      font-style: italic;
+    }
+
+    .json-viewer-ref {
+      color: var(--json-viewer-link-color);
       font-style: italic;
+      text-decoration: underline;
+      cursor: pointer;
+    }
+
+    .json-viewer-highlight {
+      background: var(--json-viewer-highlight-background);
+      border-radius: var(--json-viewer-badge-border-radius);
+    }
+
+    .json-viewer-node:focus {
+      outline: none;
+    }
+
+    .json-viewer-node:focus-visible > .json-viewer-header {
+      outline: var(--json-viewer-focus-outline-width) solid var(--json-viewer-focus-color);
+      outline-offset: var(--json-viewer-focus-outline-offset);
+      border-radius: var(--json-viewer-match-border-radius);
+    }
+
+    .json-viewer-status {
+      position: absolute;
+      width: 1px;
+      height: 1px;
+      overflow: hidden;
+      clip: rect(0 0 0 0);
+      white-space: nowrap;
     }
 
     .json-viewer-type {
-      color: #666;
-      font-size: 0.8em;
-      margin: 0 4px;
+      color: var(--json-viewer-muted-color);
+      font-size: var(--json-viewer-small-font-size);
+      margin: 0 var(--json-viewer-gap);
     }
 
     .json-viewer-count {
-      color: #666;
-      font-size: 0.8em;
+      color: var(--json-viewer-muted-color);
+      font-size: var(--json-viewer-small-font-size);
     }
 
     .json-viewer-date {
-      color: #d63384;
+      color: var(--json-viewer-date-color);
+
+    }
 
+    .json-viewer-controls-wrapper {
+      display: flex;
+      flex-direction: row;
+      gap: var(--json-viewer-controls-spacing);
     }
 
     .json-viewer-controls {
-      margin-bottom: 12px;
+      margin-bottom: var(--json-viewer-controls-spacing);
       display: flex;
-      gap: 12px;
+      gap: var(--json-viewer-controls-spacing);
     }
 
     .json-viewer-control {
       display: flex;
       align-items: center;
-      gap: 4px;
+      gap: var(--json-viewer-gap);
       cursor: pointer;
       user-select: none;
-      color: #666;
+      color: var(--json-viewer-muted-color);
     }
 
     .json-viewer-control input[type="checkbox"] {
       margin: 0;
     }
 
+    .json-viewer-search {
+      display: flex;
+      align-items: center;
+      flex-wrap: wrap;
+      gap: var(--json-viewer-search-gap);
+    }
+
+    .json-viewer-search-input,
+    .json-viewer-search-scope {
+      font: inherit;
+      padding: var(--json-viewer-input-padding);
+      border: var(--json-viewer-border-width) solid var(--json-viewer-control-border-color);
+      background: var(--json-viewer-input-background);
+      color: var(--json-viewer-color);
+      border-radius: var(--json-viewer-badge-border-radius);
+    }
+
+    .json-viewer-search-input {
+      width: var(--json-viewer-search-input-width);
+    }
+
+    .json-viewer-search-invalid .json-viewer-search-input {
+      border-color: var(--json-viewer-invalid-color);
+      outline-color: var(--json-viewer-invalid-color);
+    }
+
+    .json-viewer-search-nav {
+      padding: var(--json-viewer-search-button-padding);
+      font: inherit;
+      border: var(--json-viewer-border-width) solid var(--json-viewer-control-border-color);
+      border-radius: var(--json-viewer-badge-border-radius);
+      background: var(--json-viewer-control-background);
+      color: var(--json-viewer-control-color);
+      cursor: pointer;
+    }
+
+    .json-viewer-search-nav:disabled {
+      cursor: default;
+      opacity: 0.5;
+    }
+
+    .json-viewer-search-count {
+      color: var(--json-viewer-muted-color);
+      font-size: var(--json-viewer-search-count-font-size);
+      min-width: var(--json-viewer-search-count-width);
+    }
+
+    .json-viewer-match {
+      background: var(--json-viewer-match-background);
+      color: var(--json-viewer-match-color);
+      border-radius: var(--json-viewer-match-border-radius);
+      padding: 0;
+    }
+
+    .json-viewer-match-current {
+      background: var(--json-viewer-match-current-background);
+      outline: var(--json-viewer-border-width) solid var(--json-viewer-match-current-outline-color);
+    }
+
+    /* Collapsing and the search filter are classes, so a page's styles can override them like any other */
+    .json-viewer-collapsed > .json-viewer-content,
+    .json-viewer-collapsed > .json-viewer-header > .json-viewer-expanded-info,
+    .json-viewer-node:not(.json-viewer-collapsed) > .json-viewer-header > .json-viewer-collapsed-preview {
+      display: none;
+    }
+
+    .json-viewer-filtered-out {
+      display: none;
+    }
+
     .json-viewer-controls-toggle {
-      margin-bottom: 8px;
-      padding: 2px 10px;
-      font-size: 1em;
-      border: 1px solid #bbb;
-      border-radius: 3px;
-      background: #f0f0f0;
-      color: #333;
+      margin-bottom: var(--json-viewer-block-spacing);
+      padding: var(--json-viewer-controls-toggle-padding);
+      font-size: inherit;
+      border: var(--json-viewer-border-width) solid var(--json-viewer-control-border-color);
+      border-radius: var(--json-viewer-badge-border-radius);
+      background: var(--json-viewer-control-background);
+      color: var(--json-viewer-control-color);
       cursor: pointer;
       transition: background 0.2s, color 0.2s;
     }
 
     .json-viewer-controls-toggle:hover {
-      background: #e0eaff;
-      color: #0056b3;
+      background: var(--json-viewer-control-hover-background);
+      color: var(--json-viewer-accent-color);
     }
 
     .json-viewer-collapsed-preview {
       display: inline-flex;
-      gap: 4px;
+      gap: var(--json-viewer-gap);
       white-space: nowrap;
       overflow: hidden;
       text-overflow: ellipsis;
       max-width: 100%;
     }
 
+    .json-viewer-bucket-label {
+      color: var(--json-viewer-muted-color);
+    }
+
+    .json-viewer-more {
+      color: var(--json-viewer-link-color);
+      cursor: pointer;
+    }
+
+    .json-viewer-more:hover {
+      text-decoration: underline;
+    }
+
     .json-viewer-preview-item {
       display: inline-flex;
-      gap: 4px;
+      gap: var(--json-viewer-gap);
     }
 
     .json-viewer-removed-template {
-      color: #ffb300;
+      color: var(--json-viewer-replaced-color);
       font-style: italic;
     }
 
     .json-viewer-replaced-value {
-      color: #ffb300;
+      color: var(--json-viewer-replaced-color);
+      font-style: italic;
+    }
+
+    .json-viewer-redacted {
+      color: var(--json-viewer-redacted-color);
+      background: var(--json-viewer-redacted-background);
+      border-radius: var(--json-viewer-badge-border-radius);
+      padding: var(--json-viewer-badge-padding);
+      font-weight: bold;
+      letter-spacing: var(--json-viewer-redacted-letter-spacing);
+    }
+
+    .json-viewer-truncated {
+      color: var(--json-viewer-truncated-color);
+      background: var(--json-viewer-truncated-background);
+      border-radius: var(--json-viewer-badge-border-radius);
+      padding: var(--json-viewer-badge-padding);
+      font-style: italic;
+    }
+
+    .json-viewer-thrown {
+      color: var(--json-viewer-error-color);
+      font-style: italic;
+    }
+
+    /* Promises awaited by stringifyPlus's resolvePromises option that did not fulfil */
+    .json-viewer-promise-rejected {
+      color: var(--json-viewer-error-color);
+      font-style: italic;
+    }
+
+    .json-viewer-promise-pending {
+      color: var(--json-viewer-pending-color);
+      font-style: italic;
+    }
+
+    .json-viewer-error {
+      color: var(--json-viewer-error-color);
+    }
+
+    .json-viewer-error-node > .json-viewer-header > .json-viewer-type {
+      color: var(--json-viewer-error-color);
+      font-weight: bold;
+    }
+
+    .json-viewer-regexp {
+      color: var(--json-viewer-regexp-color);
+    }
+
+    .json-viewer-url {
+      color: var(--json-viewer-link-color);
+      text-decoration: underline dotted;
+    }
+
+    .json-viewer-bytes {
+      color: var(--json-viewer-bytes-color);
+    }
+
+    .json-viewer-opaque {
+      color: var(--json-viewer-opaque-color);
+      font-style: italic;
+    }
+
+    .json-viewer-stack-frame {
+      color: var(--json-viewer-opaque-color);
+      white-space: pre;
+      margin-left: var(--json-viewer-indent);
+    }
+
+    .json-viewer-source {
+      margin: var(--json-viewer-source-margin);
+      margin-left: var(--json-viewer-indent);
+      padding: var(--json-viewer-source-padding);
+      background: var(--json-viewer-source-background);
+      border-radius: var(--json-viewer-badge-border-radius);
+      color: var(--json-viewer-color);
+      white-space: pre-wrap;
+    }
+
+    /* Keys added by includeNonEnumerable, includeSymbols and includeGetters */
+    .json-viewer-key-non-enumerable {
+      opacity: 0.6;
+    }
+
+    .json-viewer-key-symbol {
+      font-style: italic;
+    }
+
+    .json-viewer-key-getter::before {
+      content: 'ƒ ';
+      color: var(--json-viewer-getter-color);
       font-style: italic;
     }
   `,
 
   /**
-   * Generates the JavaScript code for the JSON viewer
-   * @param {string} containerId - The ID of the container element
-   * @param {Object} options - Viewer configuration options
+   * Generates the JavaScript code for the JSON viewer: the JSONViewer class and a bootstrap that starts a viewer for
+   * every container on the page. It is the same for every viewer, so a page only needs it once
    * @returns {string} JavaScript code as a template literal
    */
-  getScript: (containerId, options) => `
+  getScript: () => `
     (function() {
+      // Without jsonViewerPlugin each viewer brings its own copy, which only has to start the new viewers
+      if (window.JSONViewer) {
+        window.JSONViewer.init();
+        return;
+      }
+
+      // Path helpers shared with stringifyPlus (see path-format.js)
+      const ENTRIES_SEGMENT = ${JSON.stringify(ENTRIES_SEGMENT)};
+      ${rootPath}
+      ${appendPath}
+      ${parsePath}
+
       /**
        * JSON Viewer class that handles rendering and interaction
        * @class
@@ -303,30 +807,37 @@ const JSONViewerModule = {
          * @param {boolean} [options.defaultExpanded=false] - Whether nodes are expanded by default
          * @param {boolean} [options.pathsOnHover=false] - Whether to show key path hover panel
          * @param {boolean} [options.showControls=true] - Whether to show controls
-         * @param {number} [options.indentWidth=8] - The number of pixels to indent each level
+         * @param {number} [options.indentWidth] - The number of pixels to indent each level, in place of --json-viewer-indent
+         * @param {boolean} [options.sortKeys=false] - Whether object keys are shown in alphabetical order
+         * @param {string} [options.pathFormat='js'] - Notation for copied paths and ref links: 'js', 'pointer', 'jsonpath' or 'template'
+         * @param {number} [options.bucketSize] - Group containers with more children than this into ranges such as [0…99]
+         * @param {number} [options.windowSize] - How many children of a long container are built at a time
+         * @param {number} [options.searchDelay=200] - How long the search waits after the last keystroke, in milliseconds
          */
         constructor(container, options = {}) {
           // Merge defaults with incoming options (options take precedence)
           this.options = Object.assign({}, options);
           this.container = container;
-          this.isOptionKeyPressed = false;
+          // An explicit indentWidth is this viewer's own setting, so it outranks a theme's --json-viewer-indent
+          if (typeof this.options.indentWidth === 'number') container.style.setProperty('--json-viewer-indent', this.options.indentWidth + 'px');
           this.expandedNodes = new Set();
+          // The children of each container node, built when it is first expanded (see renderChildren)
+          this.childState = new WeakMap();
+          this.moreObserver = null;
+          // Search state is kept across refreshes; scope is 'both', 'keys' or 'values'
+          this.search = { query: '', scope: 'both', caseSensitive: false, regex: false, filter: false };
+          this.searchMatches = [];
+          this.searchIndex = -1;
+          this.searchTimer = null;
+          // The matched nodes' paths and the paths above them, for the nodes built after a search (see decorateSearch)
+          this.searchFound = null;
+          this.currentMark = null;
+          // The tree item that Tab moves focus to (roving tabindex), kept by path across refreshes
+          this.activeItem = null;
+          this.activePath = null;
           this.currentlyOpenPanel = null;
           this.showTimer = null;
           this.hideTimer = null;
-          this.setupEventListeners();
-        }
-
-        /**
-         * Sets up keyboard event listeners for the Option/Alt key
-         */
-        setupEventListeners() {
-          document.addEventListener('keydown', (e) => {
-            if (e.key === 'Alt' || e.key === 'Option') this.isOptionKeyPressed = true;
-          });
-          document.addEventListener('keyup', (e) => {
-            if (e.key === 'Alt' || e.key === 'Option') this.isOptionKeyPressed = false;
-          });
         }
 
         /**
@@ -338,9 +849,27 @@ const JSONViewerModule = {
           if (value === null) return 'null';
           if (Array.isArray(value)) return 'array';
           if (value instanceof Date) return 'date';
+          const envelope = this.getEnvelope(value);
+          if (envelope) return envelope.$type === 'circular' ? 'Circular Ref' : envelope.$type;
+          // Typed output never encodes special values as strings, so strings are always strings
+          if (this.options.typed) return typeof value;
+          if (this.isTagged(value, '[Map]')) return 'map';
+          if (this.isTagged(value, '[Set]')) return 'set';
+          if (this.isTaggedError(value)) return 'error';
+          if (this.isTaggedFunction(value)) return 'function';
           if (typeof value === 'string' && value === '[ undefined ]') return 'undefined';
-          if (typeof value === 'string' && value.startsWith('[function') && value.endsWith(']')) return 'function';
+          if (this.isFunctionMarker(value)) return 'function';
           if (typeof value === 'string' && value.startsWith('[Circular Ref:')) return 'Circular Ref';
+          if (typeof value === 'string' && value.startsWith('[Ref: ') && value.endsWith(']')) return 'ref';
+          if (typeof value === 'string' && this.isTruncatedMarker(value)) return 'truncated';
+          if (value === '[redacted]') return 'redacted';
+          if (this.isSpecialNumberMarker(value)) return 'number';
+          if (typeof value === 'string' && value.startsWith('[threw ') && value.endsWith(']')) return 'thrown';
+          if (typeof value === 'string' && /^\\[Promise (rejected: .*|pending after \\d+ms)\\]$/s.test(value)) return 'promise';
+          if (typeof value === 'string' && value.startsWith('[RegExp /') && value.endsWith(']')) return 'regexp';
+          if (typeof value === 'string' && value.startsWith('[URL ') && value.endsWith(']')) return 'url';
+          if (typeof value === 'string' && /^\\[\\w+ \\d+ bytes(: [0-9a-f …]+)?\\]$/.test(value)) return 'bytes';
+          if (['[Promise]', '[WeakMap]', '[WeakSet]', '[WeakRef]'].includes(value)) return 'opaque';
           if (typeof value === 'string') {
             // Remove surrounding quotes if present, then check for date pattern
             const cleanValue = value.replace(/^"|"$/g, '');
@@ -357,13 +886,260 @@ const JSONViewerModule = {
         }
 
         /**
-         * Gets the count of items in an array or object
+         * Returns the value if it is a typed envelope (stringifyPlus with { typed: true }), otherwise null
+         * @param {*} value - The value to check
+         * @returns {Object|null} The envelope, e.g. { $type: 'function', name: 'foo' }
+         */
+        getEnvelope(value) {
+          if (!this.options.typed || typeof value !== 'object' || value === null || Array.isArray(value)) return null;
+          return typeof value.$type === 'string' ? value : null;
+        }
+
+        /**
+         * Gets the underlying items of a container: the array of [key, value] entries for a Map,
+         * the array of members for a Set, the description of an Error, and the unwrapped object for an object envelope
+         * @param {*} value - The container value
+         * @returns {Array|Object} The items to render as children
+         */
+        getContents(value) {
+          const envelope = this.getEnvelope(value);
+          if (envelope) {
+            if (envelope.$type === 'map') return envelope.entries;
+            if (envelope.$type === 'set') return envelope.values;
+            if (envelope.$type === 'object' || envelope.$type === 'error') return envelope.value;
+          }
+          if (this.isTagged(value, '[Map]')) return value['[Map]'];
+          if (this.isTagged(value, '[Set]')) return value['[Set]'];
+          if (this.isTaggedError(value)) return value['[Error]'];
+          if (this.getClassName(value) || this.hasKeyKinds(value)) {
+            // Leave out the "[[Class]]" and "[[KeyKinds]]" keys stringifyPlus records metadata under
+            const contents = Object.assign({}, value);
+            delete contents['[[Class]]'];
+            delete contents['[[KeyKinds]]'];
+            return contents;
+          }
+          return value;
+        }
+
+        /**
+         * Checks whether an untyped object has the "[[KeyKinds]]" record stringifyPlus adds for extra keys
+         * @param {*} value - The value
+         * @returns {boolean} True if the record is present
+         */
+        hasKeyKinds(value) {
+          if (this.options.typed || typeof value !== 'object' || value === null || Array.isArray(value)) return false;
+          const keyKinds = value['[[KeyKinds]]'];
+          return typeof keyKinds === 'object' && keyKinds !== null && !Array.isArray(keyKinds);
+        }
+
+        /**
+         * Gets the kind of each key that is not a plain own enumerable property
+         * (added by stringifyPlus's includeNonEnumerable, includeSymbols and includeGetters options)
+         * @param {*} value - The object value
+         * @returns {Object} Map of key to kind ('nonEnumerable', 'symbol' or 'getter')
+         */
+        getKeyKinds(value) {
+          const envelope = this.getEnvelope(value);
+          if (envelope) return envelope.keyKinds || {};
+          return this.hasKeyKinds(value) ? value['[[KeyKinds]]'] : {};
+        }
+
+        /**
+         * Gets the keys of an object's contents in display order: alphabetical when sortKeys is on,
+         * otherwise the order they were serialized in
+         * @param {Object} contents - The object's contents (see getContents)
+         * @returns {string[]} The keys
+         */
+        getObjectKeys(contents) {
+          const keys = Object.keys(contents);
+          // Compare by code units, like stringifyPlus's sortKeys, so the order is the same in every locale
+          return this.options.sortKeys ? keys.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0)) : keys;
+        }
+
+        /**
+         * Gets the class name stringifyPlus recorded for a class instance, if any
+         * @param {*} value - The value
+         * @returns {string|null} The class name, e.g. 'Person'
+         */
+        getClassName(value) {
+          const envelope = this.getEnvelope(value);
+          if (envelope) return envelope.className || null;
+          if (this.options.typed || typeof value !== 'object' || value === null || Array.isArray(value)) return null;
+          return typeof value['[[Class]]'] === 'string' ? value['[[Class]]'] : null;
+        }
+
+        /**
+         * Gets the label shown for a value's type: the class name for class instances, binary data and
+         * opaque built-ins, the error name for Errors, otherwise the type
+         * @param {*} value - The value
+         * @param {string} type - The type as returned by getType
+         * @returns {string} The label text
+         */
+        getTypeName(value, type) {
+          if (type === 'error') return String(this.getContents(value).name || 'Error');
+          if (type === 'bytes' || type === 'opaque') {
+            // Binary data and opaque built-ins are labelled with their class, e.g. Uint8Array or WeakMap
+            const envelope = this.getEnvelope(value);
+            return envelope ? envelope.className : value.slice(1).split(/[ \\]]/)[0];
+          }
+          return this.getClassName(value) || type;
+        }
+
+        /**
+         * Checks whether a string is the marker stringifyPlus uses for a number JSON cannot hold:
+         * "[NaN]", "[Infinity]", "[-Infinity]" or "[-0]"
+         * @param {*} value - The value to check
+         * @returns {boolean} True if the value is a special number marker
+         */
+        isSpecialNumberMarker(value) {
+          return ['[NaN]', '[Infinity]', '[-Infinity]', '[-0]'].includes(value);
+        }
+
+        /**
+         * Checks whether a string is a marker left by stringifyPlus's truncation limits,
+         * e.g. "[… 940 more items]" or "[truncated at depth 6]"
+         * @param {string} value - The string to check
+         * @returns {boolean} True if the string is a truncation marker
+         */
+        isTruncatedMarker(value) {
+          return /^\\[… \\d+ more (items|entries|keys)\\]$/.test(value) || /^\\[truncated at depth \\d+\\]$/.test(value);
+        }
+
+        /**
+         * Appends a string value, splitting off a trailing "[… N more characters]" marker
+         * so it can be styled as truncated
+         * @param {HTMLElement} element - The value element to fill
+         * @param {string} value - The string value
+         */
+        appendStringValue(element, value) {
+          const match = this.options.typed ? null : value.match(/^([\\s\\S]*)(\\[… \\d+ more characters\\])$/);
+          const text = match ? match[1] : value;
+          element.appendChild(document.createTextNode('"' + text + (match ? '…"' : '"')));
+          if (match) element.appendChild(this.createTruncatedElement(match[2]));
+        }
+
+        /**
+         * Creates an element for a truncation marker
+         * @param {string} text - The marker text
+         * @returns {HTMLElement} The marker element
+         */
+        createTruncatedElement(text) {
+          const marker = document.createElement('span');
+          marker.className = 'json-viewer-truncated';
+          marker.textContent = text;
+          return marker;
+        }
+
+        /**
+         * Checks whether a value is a tagged container emitted by stringifyPlus,
+         * i.e. an object whose only key is the tag and whose value is an array
+         * @param {*} value - The value to check
+         * @param {string} tag - The tag key, e.g. '[Map]' or '[Set]'
+         * @returns {boolean} True if the value carries the tag
+         */
+        isTagged(value, tag) {
+          if (typeof value !== 'object' || value === null || Array.isArray(value)) return false;
+          const keys = Object.keys(value);
+          return keys.length === 1 && keys[0] === tag && Array.isArray(value[tag]);
+        }
+
+        /**
+         * Checks whether a value is an Error as stringifyPlus outputs it: { "[Error]": { name, message, ... } }
+         * @param {*} value - The value to check
+         * @returns {boolean} True if the value is a tagged Error
+         */
+        isTaggedError(value) {
+          if (typeof value !== 'object' || value === null || Array.isArray(value)) return false;
+          const keys = Object.keys(value);
+          const description = value['[Error]'];
+          return keys.length === 1 && typeof description === 'object' && description !== null && !Array.isArray(description);
+        }
+
+        /**
+         * Checks whether a value is a function with a source preview as stringifyPlus outputs it:
+         * { "[Function]": { signature, source } }
+         * @param {*} value - The value to check
+         * @returns {boolean} True if the value is a tagged function
+         */
+        isTaggedFunction(value) {
+          if (typeof value !== 'object' || value === null || Array.isArray(value)) return false;
+          const keys = Object.keys(value);
+          return keys.length === 1 && typeof value['[Function]'] === 'object' && value['[Function]'] !== null &&
+            typeof value['[Function]'].signature === 'string';
+        }
+
+        /**
+         * Checks whether a string is a function marker, e.g. "[function foo]", "[async function load(url)]" or "[class Post(title)]"
+         * @param {*} value - The value to check
+         * @returns {boolean} True if the string is a function marker
+         */
+        isFunctionMarker(value) {
+          if (typeof value !== 'string' || !value.endsWith(']')) return false;
+          return /^\\[(bound )?(async )?function/.test(value) || /^\\[class [\\w$]+(\\(.*\\))?\\]$/s.test(value);
+        }
+
+        /**
+         * Formats a typed function envelope as its signature, as stringifyPlus does for untyped output
+         * @param {Object} envelope - The envelope, e.g. { $type: 'function', name: 'load', params: ['url'], async: true }
+         * @returns {string} The signature, e.g. 'async function load(url)'
+         */
+        formatFunctionSignature(envelope) {
+          const params = envelope.params;
+          const list = params === undefined ? '' : params === null ? '(…)' : '(' + params.join(', ') + ')';
+          if (envelope.class) return 'class ' + envelope.name + list;
+          const prefix = (envelope.bound ? 'bound ' : '') + (envelope.async ? 'async ' : '');
+          return prefix + 'function' + (envelope.generator ? '*' : '') + ' ' + envelope.name + list;
+        }
+
+        /**
+         * Gets the source preview of a function (stringifyPlus with functionSource), if any
+         * @param {*} value - The function value
+         * @returns {string|null} The source, possibly ending in a "[… N more characters]" marker
+         */
+        getFunctionSource(value) {
+          const envelope = this.getEnvelope(value);
+          if (envelope) return typeof envelope.source === 'string' ? envelope.source : null;
+          return this.isTaggedFunction(value) && typeof value['[Function]'].source === 'string' ? value['[Function]'].source : null;
+        }
+
+        /**
+         * Adds a function's source preview to its node as a block that expands from the toggle, collapsed unless the user has opened it
+         * @param {HTMLElement} node - The function's node
+         * @param {HTMLElement} header - The node's header, showing the signature
+         * @param {string} source - The source preview
+         * @param {string} path - The path to the function
+         */
+        appendSourceBlock(node, header, source, path) {
+          const isExpanded = this.expandedNodes.has(path);
+          const toggle = this.createToggleButton();
+          toggle.addEventListener('click', () => this.toggleNode(node, path));
+          node.appendChild(toggle);
+          node.appendChild(header);
+
+          const content = document.createElement('div');
+          content.className = 'json-viewer-content';
+          const block = document.createElement('pre');
+          block.className = 'json-viewer-source';
+          const match = source.match(/^([\\s\\S]*)(\\[… \\d+ more characters\\])$/);
+          block.textContent = match ? match[1] + '…' : source;
+          if (match) block.appendChild(this.createTruncatedElement(match[2]));
+          content.appendChild(block);
+          node.classList.toggle('json-viewer-collapsed', !isExpanded);
+          if (isExpanded) toggle.innerHTML = '▼';
+          node.setAttribute('aria-expanded', String(isExpanded));
+          node.appendChild(content);
+        }
+
+        /**
+         * Gets the count of items in an array or object (the size for a Map or Set)
          * @param {*} value - The value to count
          * @returns {number|null} The count or null if not applicable
          */
         getCount(value) {
           if (Array.isArray(value)) return value.length;
-          if (typeof value === 'object' && value !== null) return Object.keys(value).length;
+          const type = this.getType(value);
+          if (type === 'map' || type === 'set') return this.getContents(value).length;
+          if (type === 'object' || type === 'error') return Object.keys(this.getContents(value)).length;
           return null;
         }
 
@@ -376,13 +1152,20 @@ const JSONViewerModule = {
           const previewContainer = document.createElement('span');
           const type = this.getType(value);
 
-          if (type === 'object') {
-            const keys = Object.keys(value);
+          if (type === 'error') {
+            previewContainer.appendChild(this.createErrorSummary(value));
+          } else if (type === 'object') {
+            const className = this.getClassName(value);
+            const keyKinds = this.getKeyKinds(value);
+            value = this.getContents(value);
+            const keys = this.getObjectKeys(value);
             if (keys.length === 0) {
-              previewContainer.textContent = '{}';
+              previewContainer.textContent = className ? className + ' {}' : '{}';
               return previewContainer;
             }
 
+            if (className) previewContainer.appendChild(document.createTextNode(className + ' '));
+
             previewContainer.appendChild(document.createTextNode('{ '));
             
             keys.slice(0, 5).forEach((key, index) => {
@@ -391,6 +1174,7 @@ const JSONViewerModule = {
 
               const keyEl = document.createElement('span');
               keyEl.className = 'json-viewer-key';
+              if (keyKinds[key]) keyEl.classList.add(this.getKeyKindClass(keyKinds[key]));
               keyEl.textContent = key + ': ';
               item.appendChild(keyEl);
 
@@ -399,11 +1183,17 @@ const JSONViewerModule = {
               let valEl;
 
               if (valType === 'object') {
+                const className = this.getClassName(val);
                 valEl = this.createValueElement(null);
-                valEl.textContent = '{…}';
+                valEl.textContent = className ? className + ' {…}' : '{…}';
               } else if (valType === 'array') {
                 valEl = this.createValueElement(null);
                 valEl.textContent = 'Array(' + this.getCount(val) + ')';
+              } else if (valType === 'map' || valType === 'set') {
+                valEl = this.createValueElement(null);
+                valEl.textContent = (valType === 'map' ? 'Map(' : 'Set(') + this.getCount(val) + ')';
+              } else if (valType === 'error') {
+                valEl = this.createErrorSummary(val);
               } else {
                 valEl = this.createValueElement(val);
               }
@@ -435,11 +1225,17 @@ const JSONViewerModule = {
               let valEl;
 
               if (valType === 'object') {
+                const className = this.getClassName(val);
                 valEl = this.createValueElement(null);
-                valEl.textContent = '{…}';
+                valEl.textContent = className ? className + ' {…}' : '{…}';
               } else if (valType === 'array') {
                 valEl = this.createValueElement(null);
                 valEl.textContent = 'Array(' + this.getCount(val) + ')';
+              } else if (valType === 'map' || valType === 'set') {
+                valEl = this.createValueElement(null);
+                valEl.textContent = (valType === 'map' ? 'Map(' : 'Set(') + this.getCount(val) + ')';
+              } else if (valType === 'error') {
+                valEl = this.createErrorSummary(val);
               } else {
                 valEl = this.createValueElement(val);
               }
@@ -456,11 +1252,119 @@ const JSONViewerModule = {
               previewContainer.appendChild(document.createTextNode(', …'));
             }
             previewContainer.appendChild(document.createTextNode(' ]'));
+
+          } else if (type === 'map' || type === 'set') {
+            const items = this.getContents(value);
+            previewContainer.appendChild(document.createTextNode(type === 'map' ? 'Map(' : 'Set('));
+            previewContainer.appendChild(document.createTextNode(items.length + ') { '));
+            items.slice(0, 5).forEach((entry, index) => {
+              const item = document.createElement('span');
+              item.className = 'json-viewer-preview-item';
+              const parts = type === 'map' ? entry : [entry];
+              parts.forEach((part, partIndex) => {
+                const partType = this.getType(part);
+                let partEl;
+                if (partType === 'object' || partType === 'array' || partType === 'map' || partType === 'set' || partType === 'error') {
+                  partEl = this.createValueElement(null);
+                  partEl.textContent = partType === 'array' ? '[…]' : '{…}';
+                } else {
+                  partEl = this.createValueElement(part);
+                }
+                if (partIndex > 0) item.appendChild(document.createTextNode(' => '));
+                item.appendChild(partEl);
+              });
+              previewContainer.appendChild(item);
+
+              if (index < items.slice(0, 5).length - 1) {
+                previewContainer.appendChild(document.createTextNode(', '));
+              }
+            });
+
+            if (items.length > 5) {
+              previewContainer.appendChild(document.createTextNode(', …'));
+            }
+            previewContainer.appendChild(document.createTextNode(' }'));
           }
 
           return previewContainer;
         }
 
+        /**
+         * Creates the one-line summary of an Error, e.g. "TypeError: fetch failed"
+         * @param {Object} value - The Error as output by stringifyPlus
+         * @returns {HTMLElement} The summary element
+         */
+        createErrorSummary(value) {
+          const description = this.getContents(value);
+          const summary = document.createElement('span');
+          summary.className = 'json-viewer-value json-viewer-error';
+          const message = typeof description.message === 'string' ? description.message : '';
+          summary.textContent = String(description.name || 'Error') + (message ? ': ' + message : '');
+          return summary;
+        }
+
+        /**
+         * Formats a parsed stack frame the way V8 prints it, e.g. "at load (/src/_data/posts.js:12:5)"
+         * @param {Object} frame - The frame: { function, file, line, column }
+         * @returns {string} The frame as a line of text
+         */
+        formatStackFrame(frame) {
+          if (typeof frame !== 'object' || frame === null) return String(frame);
+          if (frame.file === undefined) return 'at ' + frame.function;
+          const location = frame.line === undefined ? frame.file : frame.file + ':' + frame.line + ':' + frame.column;
+          return 'at ' + frame.function + ' (' + location + ')';
+        }
+
+        /**
+         * Creates the node for an Error's stack: one line per frame, collapsed unless the user has opened it
+         * @param {Array} frames - The parsed stack frames
+         * @param {number} depth - The depth in the tree
+         * @param {string} path - The path to the stack
+         * @returns {HTMLElement} The node element
+         */
+        createStackNode(frames, depth, path) {
+          const node = document.createElement('div');
+          node.className = 'json-viewer-node json-viewer-stack';
+          node.style.setProperty('--json-viewer-depth', depth);
+          node.setAttribute('data-key', 'stack');
+          node.setAttribute('data-path', path);
+          const isExpanded = this.expandedNodes.has(path);
+          this.initTreeItem(node, depth, 'stack, ' + frames.length + (frames.length === 1 ? ' frame' : ' frames'));
+          node.setAttribute('aria-expanded', String(isExpanded));
+
+          const toggle = this.createToggleButton();
+          toggle.addEventListener('click', () => this.toggleNode(node, path));
+          node.appendChild(toggle);
+
+          const header = document.createElement('div');
+          header.className = 'json-viewer-header';
+          header.appendChild(this._createKeyElement('stack', path));
+          const expandedInfo = document.createElement('span');
+          expandedInfo.className = 'json-viewer-expanded-info';
+          expandedInfo.appendChild(this.createCountLabel(frames.length));
+          const collapsedPreview = document.createElement('span');
+          collapsedPreview.className = 'json-viewer-collapsed-preview';
+          collapsedPreview.textContent = '[' + frames.length + (frames.length === 1 ? ' frame]' : ' frames]');
+          header.appendChild(expandedInfo);
+          header.appendChild(collapsedPreview);
+
+          const content = document.createElement('div');
+          content.className = 'json-viewer-content';
+          frames.forEach(frame => {
+            const line = document.createElement('div');
+            line.className = 'json-viewer-stack-frame';
+            line.textContent = this.formatStackFrame(frame);
+            content.appendChild(line);
+          });
+
+          node.classList.toggle('json-viewer-collapsed', !isExpanded);
+          if (isExpanded) toggle.innerHTML = '▼';
+
+          node.appendChild(header);
+          node.appendChild(content);
+          return node;
+        }
+
         /**
          * Creates a toggle button for expandable nodes
          * @returns {HTMLElement} The toggle button element
@@ -468,6 +1372,7 @@ const JSONViewerModule = {
         createToggleButton() {
           const button = document.createElement('span');
           button.className = 'json-viewer-toggle';
+          button.setAttribute('aria-hidden', 'true');
           button.innerHTML = '▶';
           return button;
         }
@@ -504,23 +1409,18 @@ const JSONViewerModule = {
         createValueElement(value) {
           const element = document.createElement('span');
           element.className = 'json-viewer-value';
-          
+
+          // Typed envelopes carry their own type, so no guessing is needed
+          const envelope = this.getEnvelope(value);
+          if (envelope) {
+            return this.createEnvelopeElement(element, envelope);
+          }
+          if (this.options.typed) {
+            return this.createPlainValueElement(element, value);
+          }
+
           // Special case: replaced value (no quotes, amber style)
-          // Check if value matches any replaceString, any string value in an object entry (shorthand), or is a known replacement message
-          const isShorthandReplaced = this.options && Array.isArray(this.options.removeKeys) && this.options.removeKeys.some(entry => {
-            if (typeof entry === 'object' && entry !== null) {
-              // Check for { keyName, replaceString }
-              if (typeof entry.replaceString === 'string' && value === entry.replaceString) return true;
-              // Check for shorthand { key: value } (excluding keyName/replaceString)
-              return Object.keys(entry).some(k => k !== 'keyName' && k !== 'replaceString' && value === entry[k]);
-            }
-            return false;
-          });
-          if (
-            isShorthandReplaced ||
-            value === 'Replaced as key was in supplied removeKeys' ||
-            value === 'Removed for performance reasons. Use { showTemplate: true } to show it'
-          ) {
+          if (this.isReplacedValue(value)) {
             element.textContent = value;
             element.classList.add('json-viewer-replaced-value');
             return element;
@@ -536,14 +1436,146 @@ const JSONViewerModule = {
           } else if (typeof value === 'string' && value === '[ undefined ]') {
             element.textContent = 'undefined';
             element.classList.add('json-viewer-undefined');
-          } else if (typeof value === 'string' && value.startsWith('[function') && value.endsWith(']')) {
+          } else if (this.isFunctionMarker(value)) {
             element.textContent = value;
             element.classList.add('json-viewer-function');
+          } else if (this.isTaggedFunction(value)) {
+            element.textContent = '[' + value['[Function]'].signature + ']';
+            element.classList.add('json-viewer-function');
           } else if (typeof value === 'string' && value.startsWith('[Circular Ref:')) {
             element.textContent = value;
             element.classList.add('json-viewer-circ-ref');
+          } else if (this.getType(value) === 'ref') {
+            this.createRefLink(element, value.slice('[Ref: '.length, -1));
+          } else if (value === '[redacted]') {
+            element.textContent = value;
+            element.classList.add('json-viewer-redacted');
+          } else if (this.isSpecialNumberMarker(value)) {
+            // NaN and friends usually mean a broken calculation, so they stand out from ordinary numbers
+            element.textContent = value.slice(1, -1);
+            element.classList.add('json-viewer-number', 'json-viewer-number-warning');
+          } else if (this.getType(value) === 'promise') {
+            element.textContent = value;
+            element.classList.add(value.startsWith('[Promise pending') ? 'json-viewer-promise-pending' : 'json-viewer-promise-rejected');
+          } else if (['thrown', 'regexp', 'url', 'bytes', 'opaque'].includes(this.getType(value))) {
+            element.textContent = value;
+            element.classList.add('json-viewer-' + this.getType(value));
+          } else if (typeof value === 'string' && this.isTruncatedMarker(value)) {
+            element.textContent = value;
+            element.classList.add('json-viewer-truncated');
+          } else {
+            return this.createPlainValueElement(element, value);
+          }
+          return element;
+        }
+
+        /**
+         * Checks whether a value is a removeKeys replacement: any replaceString, any string value in an object entry
+         * (shorthand), or a known replacement message
+         * @param {*} value - The value to check
+         * @returns {boolean} True if the value stands in for a removed one
+         */
+        isReplacedValue(value) {
+          const isShorthandReplaced = this.options && Array.isArray(this.options.removeKeys) && this.options.removeKeys.some(entry => {
+            if (typeof entry === 'object' && entry !== null) {
+              // Check for { keyName, replaceString }
+              if (typeof entry.replaceString === 'string' && value === entry.replaceString) return true;
+              // Check for shorthand { key: value } (excluding keyName/replaceString/path/pattern)
+              return Object.keys(entry).some(k => !['keyName', 'replaceString', 'path', 'pattern'].includes(k) && value === entry[k]);
+            }
+            return false;
+          });
+          return isShorthandReplaced ||
+            value === 'Replaced as key was in supplied removeKeys' ||
+            value === 'Removed for performance reasons. Use { showTemplate: true } to show it';
+        }
+
+        /**
+         * Gets the text createValueElement shows for a value, without building it (the search matches against this)
+         * @param {*} value - The value
+         * @returns {string} The value's text
+         */
+        getValueText(value) {
+          const envelope = this.getEnvelope(value);
+          if (envelope) return this.getEnvelopeText(envelope);
+          if (this.options.typed) return this.getPlainValueText(value);
+          if (this.isReplacedValue(value)) return value;
+          if (value === null) return 'null';
+          if (this.getType(value) === 'date') return typeof value === 'string' ? value : '"' + value + '"';
+          if (value === '[ undefined ]') return 'undefined';
+          if (this.isFunctionMarker(value)) return value;
+          if (this.isTaggedFunction(value)) return '[' + value['[Function]'].signature + ']';
+          if (typeof value === 'string' && value.startsWith('[Circular Ref:')) return value;
+          if (this.getType(value) === 'ref' || value === '[redacted]') return value;
+          if (this.isSpecialNumberMarker(value)) return value.slice(1, -1);
+          if (['promise', 'thrown', 'regexp', 'url', 'bytes', 'opaque'].includes(this.getType(value))) return value;
+          if (typeof value === 'string' && this.isTruncatedMarker(value)) return value;
+          return this.getPlainValueText(value);
+        }
+
+        /**
+         * Gets the text createPlainValueElement shows for a plain JSON value
+         * @param {*} value - The value
+         * @returns {string} The value's text
+         */
+        getPlainValueText(value) {
+          if (value === null) return 'null';
+          if (typeof value === 'string') {
+            const match = this.options.typed ? null : value.match(/^([\\s\\S]*)(\\[… \\d+ more characters\\])$/);
+            return match ? '"' + match[1] + '…"' + match[2] : '"' + value + '"';
+          }
+          if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+          if (value instanceof Date) return value.toISOString();
+          return JSON.stringify(value);
+        }
+
+        /**
+         * Gets the text createEnvelopeElement shows for a typed envelope
+         * @param {Object} envelope - The envelope
+         * @returns {string} The envelope's text
+         */
+        getEnvelopeText(envelope) {
+          switch (envelope.$type) {
+            case 'undefined': return 'undefined';
+            case 'function': return '[' + this.formatFunctionSignature(envelope) + ']';
+            case 'symbol': return 'Symbol(' + envelope.description + ')';
+            case 'bigint': return envelope.value + 'n';
+            case 'number': return String(envelope.value);
+            case 'date': return envelope.value === null ? 'Invalid Date' : envelope.value;
+            case 'circular': return '[Circular Ref: ' + envelope.path + ']';
+            case 'ref': return '[Ref: ' + envelope.path + ']';
+            case 'replaced': return String(envelope.value);
+            case 'instance': return this.getValueText(envelope.value);
+            case 'redacted': return '[redacted]';
+            case 'thrown': return '[threw ' + envelope.name + ': ' + envelope.message + ']';
+            case 'promise':
+              return envelope.status === 'pending'
+                ? '[Promise pending after ' + envelope.timeout + 'ms]'
+                : '[Promise rejected: ' + envelope.name + ': ' + envelope.message + ']';
+            case 'regexp': return '/' + envelope.source + '/' + envelope.flags;
+            case 'url': return envelope.href;
+            case 'bytes': return envelope.byteLength + ' bytes' + (envelope.preview ? ': ' + envelope.preview : '');
+            case 'opaque': return '[' + envelope.className + ']';
+            case 'truncated':
+              if (envelope.unit === 'characters') return '"' + envelope.value + '…"[… ' + envelope.omitted + ' more characters]';
+              if (envelope.depth !== undefined) return '[truncated at depth ' + envelope.depth + ']';
+              return '[… ' + envelope.omitted + ' more ' + envelope.unit + ']';
+            default: return '[' + envelope.$type + ']';
+          }
+        }
+
+        /**
+         * Fills a value element for a plain JSON value (string, number, boolean, null)
+         * @param {HTMLElement} element - The value element to fill
+         * @param {*} value - The value to display
+         * @returns {HTMLElement} The value element
+         */
+        createPlainValueElement(element, value) {
+          if (value === null) {
+            element.textContent = 'null';
+            element.classList.add('json-viewer-null');
           } else if (typeof value === 'string') {
-            element.textContent = '"' + value + '"';
+            this.appendStringValue(element, value);
             element.classList.add('json-viewer-string');
           } else if (typeof value === 'number') {
             element.textContent = value;
@@ -557,7 +1589,214 @@ const JSONViewerModule = {
           } else {
             element.textContent = JSON.stringify(value);
           }
-          return element;
+          return element;
+        }
+
+        /**
+         * Fills a value element for a typed envelope
+         * @param {HTMLElement} element - The value element to fill
+         * @param {Object} envelope - The envelope, e.g. { $type: 'circular', path: 'root' }
+         * @returns {HTMLElement} The value element
+         */
+        createEnvelopeElement(element, envelope) {
+          switch (envelope.$type) {
+            case 'undefined':
+              element.textContent = 'undefined';
+              element.classList.add('json-viewer-undefined');
+              break;
+            case 'function':
+              element.textContent = '[' + this.formatFunctionSignature(envelope) + ']';
+              element.classList.add('json-viewer-function');
+              break;
+            case 'symbol':
+              element.textContent = 'Symbol(' + envelope.description + ')';
+              element.classList.add('json-viewer-function');
+              break;
+            case 'bigint':
+              element.textContent = envelope.value + 'n';
+              element.classList.add('json-viewer-number');
+              break;
+            case 'number':
+              element.textContent = envelope.value;
+              element.classList.add('json-viewer-number', 'json-viewer-number-warning');
+              break;
+            case 'date':
+              element.textContent = envelope.value === null ? 'Invalid Date' : envelope.value;
+              element.classList.add('json-viewer-date');
+              break;
+            case 'circular':
+              element.textContent = '[Circular Ref: ' + envelope.path + ']';
+              element.classList.add('json-viewer-circ-ref');
+              break;
+            case 'ref':
+              this.createRefLink(element, envelope.path);
+              break;
+            case 'replaced':
+              element.textContent = envelope.value;
+              element.classList.add('json-viewer-replaced-value');
+              break;
+            case 'instance':
+              // A class instance its serializer or toJSON turned into a plain value; the type label shows the class
+              return this.createValueElement(envelope.value);
+            case 'redacted':
+              element.textContent = '[redacted]';
+              element.classList.add('json-viewer-redacted');
+              break;
+            case 'thrown':
+              element.textContent = '[threw ' + envelope.name + ': ' + envelope.message + ']';
+              element.classList.add('json-viewer-thrown');
+              break;
+            case 'promise':
+              if (envelope.status === 'pending') {
+                element.textContent = '[Promise pending after ' + envelope.timeout + 'ms]';
+                element.classList.add('json-viewer-promise-pending');
+              } else {
+                element.textContent = '[Promise rejected: ' + envelope.name + ': ' + envelope.message + ']';
+                element.classList.add('json-viewer-promise-rejected');
+              }
+              break;
+            case 'regexp':
+              element.textContent = '/' + envelope.source + '/' + envelope.flags;
+              element.classList.add('json-viewer-regexp');
+              break;
+            case 'url':
+              element.textContent = envelope.href;
+              element.classList.add('json-viewer-url');
+              break;
+            case 'bytes':
+              element.textContent = envelope.byteLength + ' bytes' + (envelope.preview ? ': ' + envelope.preview : '');
+              element.classList.add('json-viewer-bytes');
+              break;
+            case 'opaque':
+              element.textContent = '[' + envelope.className + ']';
+              element.classList.add('json-viewer-opaque');
+              break;
+            case 'truncated':
+              if (envelope.unit === 'characters') {
+                element.appendChild(document.createTextNode('"' + envelope.value + '…"'));
+                element.appendChild(this.createTruncatedElement('[… ' + envelope.omitted + ' more characters]'));
+                element.classList.add('json-viewer-string');
+              } else if (envelope.depth !== undefined) {
+                element.textContent = '[truncated at depth ' + envelope.depth + ']';
+                element.classList.add('json-viewer-truncated');
+              } else {
+                element.textContent = '[… ' + envelope.omitted + ' more ' + envelope.unit + ']';
+                element.classList.add('json-viewer-truncated');
+              }
+              break;
+            default:
+              element.textContent = '[' + envelope.$type + ']';
+          }
+          return element;
+        }
+
+        /**
+         * Turns a value element into a link to the original of a shared reference (stringifyPlus with { dedupe: true })
+         * @param {HTMLElement} element - The value element to fill
+         * @param {string} refPath - The stringifyPlus path of the original, e.g. 'root.all[0]'
+         * @returns {HTMLElement} The value element
+         */
+        createRefLink(element, refPath) {
+          element.textContent = '[Ref: ' + refPath + ']';
+          element.classList.add('json-viewer-ref');
+          element.setAttribute('role', 'link');
+          element.tabIndex = 0;
+          element.title = 'Go to ' + refPath;
+          const follow = (e) => {
+            e.stopPropagation();
+            this.revealPath(refPath);
+          };
+          element.addEventListener('click', follow);
+          element.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') follow(e);
+          });
+          return element;
+        }
+
+        /**
+         * Gets the child nodes of a container node
+         * @param {HTMLElement} node - The node element
+         * @returns {HTMLElement[]} The child node elements
+         */
+        getChildNodes(node) {
+          const content = node.querySelector(':scope > .json-viewer-content');
+          return content ? Array.from(content.children) : [];
+        }
+
+        /**
+         * Adds a key, index or other segment to a path, in the pathFormat notation
+         * @param {string} path - The path so far
+         * @param {string|number|Object} segment - The segment to add (see path-format.js)
+         * @returns {string} The longer path
+         */
+        childPath(path, segment) {
+          return appendPath(path, segment, this.options.pathFormat);
+        }
+
+        /**
+         * Gets the path segment for an object key
+         * @param {string} key - The key name, e.g. 'title' or '[Symbol tag]'
+         * @param {string|null} keyKind - The kind of key, if it is not a plain own enumerable property
+         * @returns {string|Object} The segment
+         */
+        getKeySegment(key, keyKind) {
+          return keyKind === 'symbol' ? { internal: 'Symbol(' + key.slice('[Symbol '.length, -1) + ')' } : key;
+        }
+
+        /**
+         * Finds the node for a stringifyPlus path such as 'root.all[0]' or 'root.map[[Entries]][2][1]'
+         * @param {string} refPath - The stringifyPlus path, in the pathFormat notation
+         * @returns {HTMLElement|null} The node element, if it is in the tree
+         */
+        findNodeByPath(refPath) {
+          const segments = parsePath(refPath, this.options.pathFormat) || [];
+          let node = this.container.querySelector('.json-viewer-node');
+          for (let i = 0; node && i < segments.length; i++) {
+            const segment = segments[i];
+            if (typeof segment === 'object' && segment.internal === ENTRIES_SEGMENT.internal) {
+              const parent = node;
+              const index = segments[++i];
+              node = this.getChildItem(parent, (spec, specIndex) => specIndex === index);
+              // Map entries are [key, value]: the entry node shows the value, or { key, value } for object keys
+              if (node && parent.getAttribute('data-type') === 'map' && (segments[i + 1] === 0 || segments[i + 1] === 1)) {
+                const part = segments[++i] === 0 ? 'key' : 'value';
+                const wrapsKey = typeof this.childState.get(parent).specs[index].key === 'number';
+                if (wrapsKey) node = this.getChildItem(node, spec => spec.key === part) || node;
+              }
+            } else {
+              // Symbol keys are shown as '[Symbol description]'
+              const key = typeof segment === 'object' ? '[Symbol ' + segment.internal.slice('Symbol('.length, -1) + ']' : String(segment);
+              node = this.getChildItem(node, spec => String(spec.key) === key);
+            }
+          }
+          return node || null;
+        }
+
+        /**
+         * Expands the nodes above the node at a stringifyPlus path, then scrolls to and briefly highlights it
+         * @param {string} refPath - The stringifyPlus path
+         */
+        revealPath(refPath) {
+          const target = this.findNodeByPath(refPath);
+          if (!target) return;
+          this.expandAncestors(target);
+          if (typeof target.scrollIntoView === 'function') target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+          const header = target.querySelector(':scope > .json-viewer-header');
+          if (header) {
+            header.classList.add('json-viewer-highlight');
+            setTimeout(() => header.classList.remove('json-viewer-highlight'), 2000);
+          }
+        }
+
+        /**
+         * Expands any collapsed nodes above a node, so it can be seen
+         * @param {HTMLElement} target - The node element
+         */
+        expandAncestors(target) {
+          for (let node = target.parentElement; node && node !== this.container; node = node.parentElement) {
+            if (!node.classList.contains('json-viewer-node')) continue;
+            if (node.classList.contains('json-viewer-collapsed')) this.toggleNode(node, this.getExpandKey(node));
+          }
         }
 
         /**
@@ -566,30 +1805,38 @@ const JSONViewerModule = {
          * @returns {string} The path to the node
          */
         getNodePath(node) {
-          const path = [];
-          let current = node;
-          while (current && current !== this.container) {
-            const key = current.getAttribute('data-key');
-            if (key !== null) path.unshift(key);
-            current = current.parentElement;
-          }
-          return path.join('.');
+          return node.getAttribute('data-path') || '';
+        }
+
+        /**
+         * Gets the key a node's expanded state is remembered under in expandedNodes: its path, plus the range for buckets
+         * @param {HTMLElement} node - The node element
+         * @returns {string}
+         */
+        getExpandKey(node) {
+          const bucket = node.getAttribute('data-bucket');
+          return bucket ? this.getNodePath(node) + ' ' + bucket : this.getNodePath(node);
         }
 
         /**
          * Creates a key element, with hover-to-show-path functionality if enabled.
          * @param {string} key - The key name.
          * @param {string} keyPath - The full path to the key.
+         * @param {string|null} [keyKind] - The kind of key, if it is not a plain own enumerable property.
          * @returns {HTMLElement} The key element (or a wrapper with hover functionality).
          * @private
          */
-        _createKeyElement(key, keyPath) {
+        _createKeyElement(key, keyPath, keyKind = null) {
           const keyWrapper = document.createElement('span');
           keyWrapper.className = 'json-viewer-key-wrapper';
 
           const keyElement = document.createElement('span');
           keyElement.className = 'json-viewer-key';
           keyElement.textContent = key + ': ';
+          if (keyKind) {
+            keyElement.classList.add(this.getKeyKindClass(keyKind));
+            keyElement.title = keyKind === 'getter' ? 'Getter' : keyKind === 'symbol' ? 'Symbol key' : 'Non-enumerable';
+          }
 
           if (this.options.pathsOnHover) {
             // Buffer wrapper
@@ -603,13 +1850,15 @@ const JSONViewerModule = {
             panel.className = 'json-viewer-key-panel';
             panel.style.display = 'none';
             panel.innerHTML =
-              '<span class="json-viewer-key-path">' + keyPath + '</span>' +
+              '<span class="json-viewer-key-path"></span>' +
               '<button class="json-viewer-copy-btn" tabindex="0" aria-label="Copy path to clipboard">' +
-                '<svg width="16" height="16" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg" fill="none"><g fill="#000000"><path fill-rule="evenodd" d="M3.25 2.5H4v.25C4 3.44 4.56 4 5.25 4h5.5C11.44 4 12 3.44 12 2.75V2.5h.75a.75.75 0 01.75.75v3a.75.75 0 001.5 0v-3A2.25 2.25 0 0012.75 1h-.775c-.116-.57-.62-1-1.225-1h-5.5c-.605 0-1.11.43-1.225 1H3.25A2.25 2.25 0 001 3.25v10.5A2.25 2.25 0 003.25 16h9.5A2.25 2.25 0 0015 13.75v-1a.75.75 0 00-1.5 0v1a.75.75 0 01-.75.75h-9.5a.75.75 0 01-.75-.75V3.25a.75.75 0 01.75-.75zm2.25-1v1h5v-1h-5z" clip-rule="evenodd"/><path d="M4.75 5.5a.75.75 0 000 1.5h3a.75.75 0 000-1.5h-3zM4 12.25a.75.75 0 01.75-.75h3a.75.75 0 010 1.5h-3a.75.75 0 01-.75-.75zM4.75 8.5a.75.75 0 000 1.5h2a.75.75 0 000-1.5h-2zM16 9.25a.75.75 0 01-.75.75h-4.19l1.22 1.22a.75.75 0 11-1.06 1.06l-2.5-2.5a.752.752 0 010-1.06l2.5-2.5a.75.75 0 111.06 1.06L11.06 8.5h4.19a.75.75 0 01.75.75z"/></g></svg>' +
+                '<svg width="16" height="16" viewBox="0 0 16 16" xmlns="http://www.w3.org/2000/svg" fill="none"><g><path fill-rule="evenodd" d="M3.25 2.5H4v.25C4 3.44 4.56 4 5.25 4h5.5C11.44 4 12 3.44 12 2.75V2.5h.75a.75.75 0 01.75.75v3a.75.75 0 001.5 0v-3A2.25 2.25 0 0012.75 1h-.775c-.116-.57-.62-1-1.225-1h-5.5c-.605 0-1.11.43-1.225 1H3.25A2.25 2.25 0 001 3.25v10.5A2.25 2.25 0 003.25 16h9.5A2.25 2.25 0 0015 13.75v-1a.75.75 0 00-1.5 0v1a.75.75 0 01-.75.75h-9.5a.75.75 0 01-.75-.75V3.25a.75.75 0 01.75-.75zm2.25-1v1h5v-1h-5z" clip-rule="evenodd"/><path d="M4.75 5.5a.75.75 0 000 1.5h3a.75.75 0 000-1.5h-3zM4 12.25a.75.75 0 01.75-.75h3a.75.75 0 010 1.5h-3a.75.75 0 01-.75-.75zM4.75 8.5a.75.75 0 000 1.5h2a.75.75 0 000-1.5h-2zM16 9.25a.75.75 0 01-.75.75h-4.19l1.22 1.22a.75.75 0 11-1.06 1.06l-2.5-2.5a.752.752 0 010-1.06l2.5-2.5a.75.75 0 111.06 1.06L11.06 8.5h4.19a.75.75 0 01.75.75z"/></g></svg>' +
                   '<span class="json-viewer-tooltip">Copy path to clipboard</span>' +
                 '</button>' +
                 '<span class="json-viewer-copy-confirm" style="display:none;">Copied!</span>';
 
+            // Set as text, since quoted keys can hold any characters
+            panel.querySelector('.json-viewer-key-path').textContent = keyPath;
             keyWrapper.appendChild(keyElement);
             keyWrapper.appendChild(buffer);
             keyWrapper.appendChild(panel);
@@ -685,63 +1934,62 @@ const JSONViewerModule = {
           return keyWrapper;
         }
 
+        /**
+         * Gets the CSS class for a key kind
+         * @param {string} keyKind - 'nonEnumerable', 'symbol' or 'getter'
+         * @returns {string} The class name, e.g. 'json-viewer-key-non-enumerable'
+         */
+        getKeyKindClass(keyKind) {
+          return 'json-viewer-key-' + keyKind.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+        }
+
         /**
          * Creates a node element for a value
          * @param {string|null} key - The key of the value
          * @param {*} value - The value to display
          * @param {number} depth - The depth in the tree
-         * @param {string} path - The path to this node
+         * @param {string} [path] - The path to this node, in the pathFormat notation (the root path by default)
+         * @param {string|null} [keyKind] - The kind of key, if it is not a plain own enumerable property
          * @returns {HTMLElement} The node element
          */
-        createNode(key = undefined, value, depth = 0, path = '') {
+        createNode(key = undefined, value, depth = 0, path = rootPath(this.options.pathFormat), keyKind = null) {
           const node = document.createElement('div');
           node.className = 'json-viewer-node';
-          node.style.marginLeft = (depth * this.options.indentWidth) + 'px';
+          node.style.setProperty('--json-viewer-depth', depth);
           if (typeof key !== 'undefined' && key !== null) node.setAttribute('data-key', key);
+          node.setAttribute('data-path', path);
 
           const header = document.createElement('div');
           header.className = 'json-viewer-header';
           const type = this.getType(value);
           const count = this.getCount(value);
 
-          // Helper to build the path string
-          function buildPath(parentPath, key, isArrayKey) {
-            if (parentPath === '' || parentPath == null) {
-              return isArrayKey ? '[' + key + ']' : key;
-            }
-            if (isArrayKey) {
-              return parentPath + '[' + key + ']';
-            } else {
-              return parentPath + '.' + key;
-            }
-          }
+          const isContainer = type === 'object' || type === 'array' || type === 'map' || type === 'set' || type === 'error';
+          if (type === 'error') node.classList.add('json-viewer-error-node');
+          if (isContainer) node.setAttribute('data-type', type);
+          const name = typeof key !== 'undefined' && key !== null ? String(key) : 'root';
+          if (isContainer) this.initTreeItem(node, depth, name + ', ' + this.getTypeName(value, type) + ', ' + this.describeCount(count, type));
 
-          if (type === 'object' || type === 'array') {
+          if (isContainer) {
             if (count === 0) {
               if (typeof key !== 'undefined' && key !== null) {
-                const isArrayKey = typeof key === 'number' || (typeof key === 'string' && /^\d+$/.test(key));
-                const nodePath = buildPath(path, key, isArrayKey);
-                header.appendChild(this._createKeyElement(key, nodePath));
+                header.appendChild(this._createKeyElement(key, path, keyKind));
               }
-              const typeLabel = this.createTypeLabel(type);
+              const typeLabel = this.createTypeLabel(this.getTypeName(value, type));
               typeLabel.style.display = this.options.showTypes ? 'inline' : 'none';
               header.appendChild(typeLabel);
               
               const valueElement = document.createElement('span');
-              valueElement.textContent = type === 'object' ? '{}' : '[]';
+              valueElement.textContent = type === 'array' ? '[]' : '{}';
               header.appendChild(valueElement);
 
               node.appendChild(header);
               return node;
             }
-            let nodePath = path;
-            if (typeof key !== 'undefined' && key !== null) {
-              const isArrayKey = typeof key === 'number' || (typeof key === 'string' && /^\d+$/.test(key));
-              nodePath = buildPath(path, key, isArrayKey);
-            }
-            
+            const nodePath = path;
             const isRootLevel = typeof key === 'undefined' || key === null;
             const isExpanded = isRootLevel ? true : (this.expandedNodes.has(nodePath) || this.options.defaultExpanded);
+            node.setAttribute('aria-expanded', String(isExpanded));
             
             const toggle = this.createToggleButton();
             toggle.addEventListener('click', (e) => {
@@ -751,17 +1999,17 @@ const JSONViewerModule = {
             node.appendChild(toggle);
 
             if (typeof key !== 'undefined' && key !== null) {
-              header.appendChild(this._createKeyElement(key, nodePath));
+              header.appendChild(this._createKeyElement(key, nodePath, keyKind));
             }
 
-            const typeLabel = this.createTypeLabel(type);
+            const typeLabel = this.createTypeLabel(this.getTypeName(value, type));
             typeLabel.style.display = isRootLevel || this.options.showTypes ? 'inline' : 'none';
             header.appendChild(typeLabel);
 
             const expandedInfo = document.createElement('span');
             expandedInfo.className = 'json-viewer-expanded-info';
 
-            if (count !== null && type === 'array') {
+            if (count !== null && type !== 'object' && type !== 'error') {
               const countLabel = this.createCountLabel(count);
               expandedInfo.appendChild(countLabel);
             }
@@ -780,69 +2028,322 @@ const JSONViewerModule = {
             
             const content = document.createElement('div');
             content.className = 'json-viewer-content';
+            content.setAttribute('role', 'group');
             
-            expandedInfo.style.display = isExpanded ? 'inline' : 'none';
-            collapsedPreview.style.display = isExpanded ? 'none' : 'inline';
-            content.style.display = isExpanded ? 'block' : 'none';
+            node.classList.toggle('json-viewer-collapsed', !isExpanded);
             
             if (isExpanded) {
               toggle.innerHTML = '▼';
             }
 
-            if (type === 'array') {
-              value.forEach((item, index) => {
-                content.appendChild(this.createNode(index, item, depth + 1, nodePath));
-              });
-            } else {
-              Object.entries(value).forEach(([k, v]) => {
-                content.appendChild(this.createNode(k, v, depth + 1, nodePath));
-              });
-            }
-
             node.appendChild(header);
             node.appendChild(content);
+            // Children are only built when the node is first expanded (see renderChildren)
+            this.childState.set(node, { specs: this.getChildSpecs(value, type, nodePath), depth: depth + 1, path: nodePath, offset: 0 });
+            if (isExpanded) this.renderChildren(node);
           } else {
             if (typeof key !== 'undefined' && key !== null) {
-              const isArrayKey = typeof key === 'number' || (typeof key === 'string' && /^\d+$/.test(key));
-              const keyPath = buildPath(path, key, isArrayKey);
-              header.appendChild(this._createKeyElement(key, keyPath));
+              header.appendChild(this._createKeyElement(key, path, keyKind));
             }
 
             if (type !== 'undefined') {
-                const typeLabel = this.createTypeLabel(type);
+                const typeLabel = this.createTypeLabel(this.getTypeName(value, type));
                 typeLabel.style.display = this.options.showTypes ? 'inline' : 'none';
                 header.appendChild(typeLabel);
             }
 
-            header.appendChild(this.createValueElement(value));
-            node.appendChild(header);
+            const valueElement = this.createValueElement(value);
+            header.appendChild(valueElement);
+            // Screen readers hear the key, type and value, e.g. "title, string, "Hello""
+            const typeName = this.getTypeName(value, type);
+            const valueText = valueElement.textContent;
+            this.initTreeItem(node, depth, name + ', ' + (valueText === typeName ? valueText : typeName + ', ' + valueText));
+            // Functions with a source preview show their signature inline and the source when expanded
+            const source = type === 'function' ? this.getFunctionSource(value) : null;
+            if (source !== null) this.appendSourceBlock(node, header, source, path);
+            else node.appendChild(header);
+          }
+          return node;
+        }
+
+        /**
+         * Lists the children of a container without creating their nodes
+         * @param {*} value - The container value
+         * @param {string} type - Its type, from getType
+         * @param {string} path - Its path
+         * @returns {Object[]} A { key, value, path, keyKind, stack } description of each child
+         */
+        getChildSpecs(value, type, path) {
+          if (type === 'array') {
+            return value.map((item, index) => ({ key: index, value: item, path: this.childPath(path, index) }));
+          }
+          if (type === 'set' || type === 'map') {
+            const entriesPath = this.childPath(path, ENTRIES_SEGMENT);
+            return this.getContents(value).map((item, index) => {
+              const entryPath = this.childPath(entriesPath, index);
+              if (type === 'set') return { key: index, value: item, path: entryPath };
+              const [k, v] = item;
+              // Primitive keys label the entry directly; object keys get an explicit { key, value } entry
+              return k === null || typeof k !== 'object'
+                ? { key: String(k), value: v, path: this.childPath(entryPath, 1) }
+                : { key: index, value: { key: k, value: v }, path: entryPath };
+            });
+          }
+          if (type === 'error') {
+            // Stacks are long, so they get their own node that starts collapsed
+            return Object.entries(this.getContents(value)).map(([k, v]) => ({
+              key: k, value: v, path: this.childPath(path, k), stack: k === 'stack' && Array.isArray(v)
+            }));
+          }
+          const keyKinds = this.getKeyKinds(value);
+          const contents = this.getContents(value);
+          return this.getObjectKeys(contents).map((k) => {
+            const keyKind = keyKinds[k] || null;
+            return { key: k, value: contents[k], path: this.childPath(path, this.getKeySegment(k, keyKind)), keyKind };
+          });
+        }
+
+        /**
+         * Creates the node for a child listed by getChildSpecs
+         * @param {Object} spec - The child
+         * @param {number} depth - The depth in the tree
+         * @returns {HTMLElement} The node element
+         */
+        createChildNode(spec, depth) {
+          if (spec.stack) return this.createStackNode(spec.value, depth, spec.path);
+          return this.createNode(spec.key, spec.value, depth, spec.path, spec.keyKind || null);
+        }
+
+        /**
+         * Builds a node's children, the first time it is expanded. More than bucketSize children are split into
+         * DevTools-style buckets such as [0…99] (nested for very long lists); otherwise windowSize children are
+         * built at a time, with the rest following as the list is scrolled
+         * @param {HTMLElement} node - The node element
+         */
+        renderChildren(node) {
+          const state = this.childState.get(node);
+          if (!state || state.elements) return;
+          state.elements = [];
+          state.shown = 0;
+          const bucketSize = this.options.bucketSize;
+          const total = state.specs.length;
+          if (!(bucketSize > 1 && total > bucketSize)) {
+            this.renderWindow(node);
+            return;
+          }
+          // The smallest power of bucketSize that needs no more than bucketSize buckets
+          let size = bucketSize;
+          while (Math.ceil(total / size) > bucketSize) size *= bucketSize;
+          const content = node.querySelector(':scope > .json-viewer-content');
+          state.buckets = [];
+          for (let start = 0; start < total; start += size) {
+            const end = Math.min(start + size, total) - 1;
+            const bucket = this.createBucketNode(state, start, end);
+            state.buckets.push({ start, end, node: bucket });
+            content.appendChild(bucket);
+            this.decorateSearch(bucket);
+          }
+        }
+
+        /**
+         * Builds the next windowSize children of a node, followed by a row that builds more
+         * @param {HTMLElement} node - The node element
+         */
+        renderWindow(node) {
+          const state = this.childState.get(node);
+          const content = node.querySelector(':scope > .json-viewer-content');
+          const end = Math.min(state.shown + (this.options.windowSize || Infinity), state.specs.length);
+          if (state.moreRow) {
+            state.moreRow.remove();
+            state.moreRow = null;
+          }
+          const fragment = document.createDocumentFragment();
+          const added = [];
+          for (let index = state.shown; index < end; index++) {
+            const child = this.createChildNode(state.specs[index], state.depth);
+            state.elements.push(child);
+            added.push(child);
+            fragment.appendChild(child);
           }
+          state.shown = end;
+          if (end < state.specs.length) {
+            state.moreRow = this.createMoreRow(node, state);
+            added.push(state.moreRow);
+            fragment.appendChild(state.moreRow);
+          }
+          content.appendChild(fragment);
+          added.forEach(child => this.decorateSearch(child));
+        }
+
+        /**
+         * Creates a bucket node, which groups a range of its parent's children
+         * @param {Object} parentState - The parent's children, from childState
+         * @param {number} start - The index of the first child in the bucket
+         * @param {number} end - The index of the last child in the bucket
+         * @returns {HTMLElement} The node element
+         */
+        createBucketNode(parentState, start, end) {
+          const depth = parentState.depth;
+          const first = parentState.offset + start;
+          const last = parentState.offset + end;
+          const range = '[' + first + '…' + last + ']';
+          // Buckets have no path of their own, so they are remembered as expanded under their parent's path and range
+          const expandKey = parentState.path + ' ' + range;
+          const isExpanded = this.expandedNodes.has(expandKey);
+
+          const node = document.createElement('div');
+          node.className = 'json-viewer-node json-viewer-bucket';
+          node.style.setProperty('--json-viewer-depth', depth);
+          node.setAttribute('data-path', parentState.path);
+          node.setAttribute('data-bucket', range);
+          this.initTreeItem(node, depth, 'items ' + first + ' to ' + last);
+          node.setAttribute('aria-expanded', String(isExpanded));
+
+          const toggle = this.createToggleButton();
+          toggle.addEventListener('click', (e) => {
+            if (e.altKey) this.toggleAll(node, true);
+            else this.toggleNode(node, expandKey);
+          });
+          node.appendChild(toggle);
+
+          const header = document.createElement('div');
+          header.className = 'json-viewer-header';
+          const label = document.createElement('span');
+          label.className = 'json-viewer-bucket-label';
+          label.textContent = range;
+          header.appendChild(label);
+          node.appendChild(header);
+
+          const content = document.createElement('div');
+          content.className = 'json-viewer-content';
+          content.setAttribute('role', 'group');
+          node.classList.toggle('json-viewer-collapsed', !isExpanded);
+          if (isExpanded) toggle.innerHTML = '▼';
+          node.appendChild(content);
+
+          this.childState.set(node, { specs: parentState.specs.slice(start, end + 1), depth: depth + 1, path: parentState.path, offset: first });
+          if (isExpanded) this.renderChildren(node);
           return node;
         }
 
+        /**
+         * Creates the row after a window of children, which builds the next window when it is scrolled into view,
+         * clicked or activated with Enter
+         * @param {HTMLElement} node - The node the children belong to
+         * @param {Object} state - Its children, from childState
+         * @returns {HTMLElement} The row element
+         */
+        createMoreRow(node, state) {
+          const remaining = state.specs.length - state.shown;
+          const row = document.createElement('div');
+          row.className = 'json-viewer-node json-viewer-more';
+          row.style.setProperty('--json-viewer-depth', state.depth);
+          const label = 'Show ' + Math.min(remaining, this.options.windowSize) + ' more (' + remaining + ' not shown)';
+          this.initTreeItem(row, state.depth, label);
+          const header = document.createElement('div');
+          header.className = 'json-viewer-header';
+          header.textContent = '… ' + label;
+          row.appendChild(header);
+          row.addEventListener('click', () => this.showMore(node));
+          if (typeof IntersectionObserver === 'function') this.getMoreObserver().observe(row);
+          return row;
+        }
+
+        /**
+         * Builds the next window of a node's children, keeping focus in the list if it was on the "more" row
+         * @param {HTMLElement} node - The node element
+         */
+        showMore(node) {
+          const state = this.childState.get(node);
+          const row = state && state.moreRow;
+          if (!row) return;
+          const first = state.shown;
+          const hadFocus = document.activeElement === row;
+          this.renderWindow(node);
+          if (hadFocus) this.focusItem(state.elements[first]);
+          else if (this.activeItem === row) this.setActiveItem(state.elements[first]);
+        }
+
+        /**
+         * Gets the observer that builds more children when a "more" row scrolls into view
+         * @returns {IntersectionObserver}
+         */
+        getMoreObserver() {
+          if (!this.moreObserver) {
+            this.moreObserver = new IntersectionObserver((entries) => {
+              entries.forEach((entry) => {
+                if (!entry.isIntersecting) return;
+                this.moreObserver.unobserve(entry.target);
+                // The row sits in its node's content
+                const node = entry.target.parentElement && entry.target.parentElement.parentElement;
+                if (node) this.showMore(node);
+              });
+            }, { rootMargin: '200px' });
+          }
+          return this.moreObserver;
+        }
+
+        /**
+         * Builds all the children below a node that are not built yet (except beyond a window)
+         * @param {HTMLElement} node - The node element
+         */
+        renderSubtree(node) {
+          this.renderChildren(node);
+          const state = this.childState.get(node);
+          if (!state) return;
+          (state.buckets ? state.buckets.map(bucket => bucket.node) : state.elements).forEach(child => this.renderSubtree(child));
+        }
+
+        /**
+         * Gets the node for one of a node's children, building it (and any bucket or window it is in) if needed
+         * @param {HTMLElement} node - The node element
+         * @param {number} index - The index of the child
+         * @returns {HTMLElement} The child's node element
+         */
+        materializeChild(node, index) {
+          this.renderChildren(node);
+          const state = this.childState.get(node);
+          if (state.buckets) {
+            const bucket = state.buckets.find(candidate => index >= candidate.start && index <= candidate.end);
+            return this.materializeChild(bucket.node, index - bucket.start);
+          }
+          while (state.shown <= index) this.renderWindow(node);
+          return state.elements[index];
+        }
+
+        /**
+         * Finds the first child of a node that matches a test, building its node if needed
+         * @param {HTMLElement} node - The node element
+         * @param {Function} test - Called with each child's spec and index
+         * @returns {HTMLElement|null} The child's node element
+         */
+        getChildItem(node, test) {
+          const state = this.childState.get(node);
+          const index = state ? state.specs.findIndex(test) : -1;
+          return index === -1 ? null : this.materializeChild(node, index);
+        }
+
         /**
          * Toggles the expansion state of a node
          * @param {HTMLElement} node - The node to toggle
          * @param {string} path - The path to the node
          */
         toggleNode(node, path) {
-          const content = node.querySelector('.json-viewer-content');
-          const toggle = node.querySelector('.json-viewer-toggle');
-          const expandedInfo = node.querySelector('.json-viewer-expanded-info');
-          const collapsedPreview = node.querySelector('.json-viewer-collapsed-preview');
-
-          if (content.style.display === 'none') {
-            content.style.display = 'block';
-            if (expandedInfo) expandedInfo.style.display = 'inline';
-            if (collapsedPreview) collapsedPreview.style.display = 'none';
+          const toggle = node.querySelector(':scope > .json-viewer-toggle');
+
+          if (node.classList.contains('json-viewer-collapsed')) {
+            this.renderChildren(node);
+            node.classList.remove('json-viewer-collapsed');
             toggle.innerHTML = '▼';
+            node.setAttribute('aria-expanded', 'true');
             this.expandedNodes.add(path);
           } else {
-            content.style.display = 'none';
-            if (expandedInfo) expandedInfo.style.display = 'none';
-            if (collapsedPreview) collapsedPreview.style.display = 'inline';
+            node.classList.add('json-viewer-collapsed');
             toggle.innerHTML = '▶';
+            node.setAttribute('aria-expanded', 'false');
             this.expandedNodes.delete(path);
+            // Keep Tab able to reach the tree when the focusable item is hidden
+            if (this.activeItem && this.activeItem !== node && node.contains(this.activeItem)) this.setActiveItem(node);
           }
         }
 
@@ -851,25 +2352,246 @@ const JSONViewerModule = {
          * @param {HTMLElement} node - The node to toggle
          */
         toggleAll(node, includeRoot) {
-          const content = node.querySelector('.json-viewer-content');
-          const isExpanded = content && content.style.display === 'block';
+          const content = node.querySelector(':scope > .json-viewer-content');
+          const isExpanded = content && !node.classList.contains('json-viewer-collapsed');
           const targetExpand = !isExpanded;
+          if (targetExpand) this.renderSubtree(node);
 
           // Include the root node itself, not just descendants
-          const nodes = includeRoot ? [node, ...node.querySelectorAll('.json-viewer-node')] : node.querySelectorAll('.json-viewer-node');
+          const descendants = node.querySelectorAll('.json-viewer-node:not(.json-viewer-more)');
+          const nodes = includeRoot ? [node, ...descendants] : descendants;
           nodes.forEach((nodeEl) => {
-            const content = nodeEl.querySelector('.json-viewer-content');
-            const toggle = nodeEl.querySelector('.json-viewer-toggle');
-            const expandedInfo = nodeEl.querySelector('.json-viewer-expanded-info');
-            const collapsedPreview = nodeEl.querySelector('.json-viewer-collapsed-preview');
-            const nodePath = this.getNodePath(nodeEl);
-            if (content) content.style.display = targetExpand ? 'block' : 'none';
-            if (expandedInfo) expandedInfo.style.display = targetExpand ? 'inline' : 'none';
-            if (collapsedPreview) collapsedPreview.style.display = targetExpand ? 'none' : 'inline';
+            const content = nodeEl.querySelector(':scope > .json-viewer-content');
+            const toggle = nodeEl.querySelector(':scope > .json-viewer-toggle');
+            const nodePath = this.getExpandKey(nodeEl);
+            if (content) nodeEl.classList.toggle('json-viewer-collapsed', !targetExpand);
             if (toggle) toggle.innerHTML = targetExpand ? '▼' : '▶';
+            if (content) nodeEl.setAttribute('aria-expanded', String(targetExpand));
             if (targetExpand) this.expandedNodes.add(nodePath);
             else this.expandedNodes.delete(nodePath);
           });
+          if (!targetExpand && this.activeItem && !this.isItemVisible(this.activeItem)) this.setActiveItem(node);
+        }
+
+        /**
+         * Gives a node its tree item role, level and accessible name, and takes it out of the Tab order
+         * @param {HTMLElement} node - The node element
+         * @param {number} depth - The depth in the tree
+         * @param {string} label - What screen readers announce for the node
+         */
+        initTreeItem(node, depth, label) {
+          node.setAttribute('role', 'treeitem');
+          node.setAttribute('aria-level', String(depth + 1));
+          node.setAttribute('aria-label', label);
+          node.tabIndex = -1;
+        }
+
+        /**
+         * Describes how many children a container has, for screen readers
+         * @param {number} count - The number of children
+         * @param {string} type - The container type
+         * @returns {string} e.g. '3 keys' or '1 item'
+         */
+        describeCount(count, type) {
+          const noun = type === 'object' || type === 'error' ? 'key' : type === 'map' ? 'entry' : 'item';
+          return count + ' ' + (count === 1 ? noun : noun === 'entry' ? 'entries' : noun + 's');
+        }
+
+        /**
+         * Makes a tree item the one that Tab moves focus to
+         * @param {HTMLElement} item - The tree item
+         */
+        setActiveItem(item) {
+          if (this.activeItem && this.activeItem !== item) this.activeItem.tabIndex = -1;
+          item.tabIndex = 0;
+          this.activeItem = item;
+          this.activePath = this.getNodePath(item);
+        }
+
+        /**
+         * Moves focus to a tree item
+         * @param {HTMLElement|null} item - The tree item
+         */
+        focusItem(item) {
+          if (!item) return;
+          this.setActiveItem(item);
+          item.focus();
+        }
+
+        /**
+         * Checks whether a tree item is shown, i.e. not inside a collapsed node or hidden by the search filter
+         * @param {HTMLElement} item - The tree item
+         * @returns {boolean}
+         */
+        isItemVisible(item) {
+          for (let element = item; element && element !== this.container; element = element.parentElement) {
+            if (element.classList.contains('json-viewer-filtered-out')) return false;
+            if (element !== item && element.classList.contains('json-viewer-collapsed')) return false;
+          }
+          return true;
+        }
+
+        /**
+         * Checks whether a tree item has children and is expanded
+         * @param {HTMLElement} item - The tree item
+         * @returns {boolean}
+         */
+        isItemExpanded(item) {
+          return item.getAttribute('aria-expanded') === 'true';
+        }
+
+        /**
+         * Gets the shown child items of a tree item
+         * @param {HTMLElement} item - The tree item
+         * @returns {HTMLElement[]} The child items, or none if it is collapsed
+         */
+        getVisibleChildItems(item) {
+          if (!this.isItemExpanded(item)) return [];
+          return this.getChildNodes(item).filter(child => child.getAttribute('role') === 'treeitem' &&
+            !child.classList.contains('json-viewer-filtered-out'));
+        }
+
+        /**
+         * Gets the tree item that contains another
+         * @param {HTMLElement} item - The tree item
+         * @returns {HTMLElement|null} The parent item, or null for the root
+         */
+        getParentItem(item) {
+          const parent = item.parentElement.closest('[role="treeitem"]');
+          return parent && this.container.contains(parent) ? parent : null;
+        }
+
+        /**
+         * Gets the last shown item inside a tree item (or the item itself), as reached by ArrowUp from below it
+         * @param {HTMLElement} item - The tree item
+         * @returns {HTMLElement} The last shown descendant
+         */
+        getLastVisibleItem(item) {
+          for (let children = this.getVisibleChildItems(item); children.length > 0; children = this.getVisibleChildItems(item)) {
+            item = children[children.length - 1];
+          }
+          return item;
+        }
+
+        /**
+         * Gets the shown item after another, in reading order
+         * @param {HTMLElement} item - The tree item
+         * @returns {HTMLElement|null}
+         */
+        getNextItem(item) {
+          const children = this.getVisibleChildItems(item);
+          if (children.length > 0) return children[0];
+          for (let current = item, parent = this.getParentItem(item); parent; current = parent, parent = this.getParentItem(parent)) {
+            const siblings = this.getVisibleChildItems(parent);
+            const next = siblings[siblings.indexOf(current) + 1];
+            if (next) return next;
+          }
+          return null;
+        }
+
+        /**
+         * Gets the shown item before another, in reading order
+         * @param {HTMLElement} item - The tree item
+         * @returns {HTMLElement|null}
+         */
+        getPreviousItem(item) {
+          const parent = this.getParentItem(item);
+          if (!parent) return null;
+          const siblings = this.getVisibleChildItems(parent);
+          const index = siblings.indexOf(item);
+          return index > 0 ? this.getLastVisibleItem(siblings[index - 1]) : parent;
+        }
+
+        /**
+         * Handles the tree keys: arrows move and expand or collapse, Home and End jump to the first and last items,
+         * * expands the item's siblings and Enter copies the item's path
+         * @param {KeyboardEvent} e - The keydown event
+         */
+        handleTreeKeydown(e) {
+          const item = e.target;
+          // Keys pressed on links and buttons inside an item keep their own behaviour
+          if (item.getAttribute('role') !== 'treeitem' || e.altKey || e.ctrlKey || e.metaKey) return;
+          const expandable = item.hasAttribute('aria-expanded');
+          const toggle = () => this.toggleNode(item, this.getExpandKey(item));
+          const root = this.container.querySelector('.json-viewer-tree > [role="treeitem"]');
+          switch (e.key) {
+            case 'ArrowDown':
+              this.focusItem(this.getNextItem(item));
+              break;
+            case 'ArrowUp':
+              this.focusItem(this.getPreviousItem(item));
+              break;
+            case 'ArrowRight':
+              if (expandable && !this.isItemExpanded(item)) toggle();
+              else if (expandable) this.focusItem(this.getVisibleChildItems(item)[0] || null);
+              break;
+            case 'ArrowLeft':
+              if (expandable && this.isItemExpanded(item)) toggle();
+              else this.focusItem(this.getParentItem(item));
+              break;
+            case 'Home':
+              this.focusItem(root);
+              break;
+            case 'End':
+              this.focusItem(this.getLastVisibleItem(root));
+              break;
+            case '*': {
+              const parent = this.getParentItem(item);
+              (parent ? this.getVisibleChildItems(parent) : [item]).forEach(sibling => {
+                if (sibling.getAttribute('aria-expanded') === 'false') this.toggleNode(sibling, this.getExpandKey(sibling));
+              });
+              break;
+            }
+            case 'Enter':
+              if (item.classList.contains('json-viewer-more')) this.showMore(item.parentElement.parentElement);
+              else this.copyItemPath(item);
+              break;
+            default:
+              return;
+          }
+          e.preventDefault();
+        }
+
+        /**
+         * Copies a tree item's path to the clipboard and announces it
+         * @param {HTMLElement} item - The tree item
+         */
+        copyItemPath(item) {
+          const path = this.getNodePath(item);
+          const status = this.container.querySelector('.json-viewer-status');
+          const announce = () => { if (status) status.textContent = 'Copied ' + (path || 'the root path'); };
+          if (navigator.clipboard) navigator.clipboard.writeText(path).then(announce, () => {});
+          else announce();
+        }
+
+        /**
+         * Creates the tree element that holds the root node, with its keyboard handling
+         * @param {HTMLElement} root - The root node
+         * @param {string} [title] - The viewer's title, used as the tree's accessible name
+         * @returns {HTMLElement} The tree element
+         */
+        createTree(root, title) {
+          const tree = document.createElement('div');
+          tree.className = 'json-viewer-tree';
+          tree.setAttribute('role', 'tree');
+          tree.setAttribute('aria-label', title || 'JSON data');
+          tree.addEventListener('keydown', (e) => this.handleTreeKeydown(e));
+          // Clicking an item (or its toggle) makes it the one Tab returns to
+          tree.addEventListener('focusin', (e) => {
+            if (e.target.getAttribute('role') === 'treeitem') this.setActiveItem(e.target);
+          });
+          tree.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('[role="treeitem"]');
+            if (item) this.setActiveItem(item);
+          });
+          tree.appendChild(root);
+
+          // Keep the item that was active before a refresh, if it is still shown
+          const previous = this.activePath === null ? null
+            : Array.from(tree.querySelectorAll('[role="treeitem"]')).find(item => this.getNodePath(item) === this.activePath);
+          this.activeItem = null;
+          this.setActiveItem(previous && this.isItemVisible(previous) ? previous : root);
+          return tree;
         }
 
         /**
@@ -880,9 +2602,7 @@ const JSONViewerModule = {
           // Controls wrapper for show/hide
           const controlsWrapper = document.createElement('div');
           controlsWrapper.className = 'json-viewer-controls-wrapper';
-          controlsWrapper.style.display = this.controlsVisible === false ? 'none' : 'flex';
-          controlsWrapper.style.flexDirection = 'row';
-          controlsWrapper.style.gap = '12px';
+          if (this.controlsVisible === false) controlsWrapper.style.display = 'none';
 
           const controls = document.createElement('div');
           controls.className = 'json-viewer-controls';
@@ -917,12 +2637,337 @@ const JSONViewerModule = {
           pathsControl.appendChild(pathsCheckbox);
           pathsControl.appendChild(document.createTextNode('Show Paths on Hover'));
 
+          // Sort Keys control: re-renders with the same nodes expanded
+          const sortControl = document.createElement('label');
+          sortControl.className = 'json-viewer-control';
+          sortControl.id = this.container.id + '-sort-control';
+          const sortCheckbox = document.createElement('input');
+          sortCheckbox.type = 'checkbox';
+          sortCheckbox.id = this.container.id + '-sort-checkbox';
+          sortCheckbox.checked = !!this.options.sortKeys;
+          sortCheckbox.addEventListener('change', () => {
+            this.options.sortKeys = sortCheckbox.checked;
+            this.refresh();
+          });
+          sortControl.appendChild(sortCheckbox);
+          sortControl.appendChild(document.createTextNode('Sort Keys'));
+
           controls.appendChild(typesControl);
           controls.appendChild(pathsControl);
+          controls.appendChild(sortControl);
+          controls.appendChild(this.createSearchControls());
           controlsWrapper.appendChild(controls);
           return controlsWrapper;
         }
 
+        /**
+         * Creates the search box with its scope, match case, regex and filter options, and next/previous buttons
+         * @returns {HTMLElement} The search controls
+         */
+        createSearchControls() {
+          const id = this.container.id;
+          const search = document.createElement('div');
+          search.className = 'json-viewer-search';
+          search.id = id + '-search';
+
+          const input = document.createElement('input');
+          input.type = 'search';
+          input.className = 'json-viewer-search-input';
+          input.id = id + '-search-input';
+          input.placeholder = 'Search';
+          input.setAttribute('aria-label', 'Search keys and values');
+          input.value = this.search.query;
+          // Searching walks all the data, so it waits for a pause in typing
+          input.addEventListener('input', () => {
+            this.search.query = input.value;
+            clearTimeout(this.searchTimer);
+            const delay = typeof this.options.searchDelay === 'number' ? this.options.searchDelay : 200;
+            this.searchTimer = setTimeout(() => this.applySearch(), delay);
+          });
+          input.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            e.preventDefault();
+            // Enter before the pause searches straight away, landing on the first match
+            if (this.searchTimer !== null) this.applySearch();
+            else this.goToMatch(this.searchIndex + (e.shiftKey ? -1 : 1));
+          });
+
+          const scope = document.createElement('select');
+          scope.className = 'json-viewer-search-scope';
+          scope.id = id + '-search-scope';
+          scope.setAttribute('aria-label', 'Search in');
+          [['both', 'Keys & values'], ['keys', 'Keys'], ['values', 'Values']].forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            scope.appendChild(option);
+          });
+          scope.value = this.search.scope;
+          scope.addEventListener('change', () => {
+            this.search.scope = scope.value;
+            this.applySearch();
+          });
+
+          // Match case, regex and filter checkboxes share the same shape as the other controls
+          const createOption = (name, label, title) => {
+            const control = document.createElement('label');
+            control.className = 'json-viewer-control';
+            control.id = id + '-search-' + name + '-control';
+            control.title = title;
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = id + '-search-' + name + '-checkbox';
+            checkbox.checked = this.search[name];
+            checkbox.addEventListener('change', () => {
+              this.search[name] = checkbox.checked;
+              this.applySearch();
+            });
+            control.appendChild(checkbox);
+            control.appendChild(document.createTextNode(label));
+            return control;
+          };
+
+          const createNavButton = (name, label, step) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'json-viewer-search-nav';
+            button.id = id + '-search-' + name;
+            button.textContent = label;
+            button.setAttribute('aria-label', name === 'next' ? 'Next match' : 'Previous match');
+            button.addEventListener('click', () => this.goToMatch(this.searchIndex + step));
+            return button;
+          };
+
+          const count = document.createElement('span');
+          count.className = 'json-viewer-search-count';
+          count.id = id + '-search-count';
+          count.setAttribute('aria-live', 'polite');
+
+          search.appendChild(input);
+          search.appendChild(scope);
+          search.appendChild(createOption('caseSensitive', 'Aa', 'Match case'));
+          search.appendChild(createOption('regex', '.*', 'Regular expression'));
+          search.appendChild(createOption('filter', 'Filter', 'Hide branches without a match'));
+          search.appendChild(createNavButton('previous', '↑', -1));
+          search.appendChild(createNavButton('next', '↓', 1));
+          search.appendChild(count);
+          return search;
+        }
+
+        /**
+         * Builds a function that finds the search query in some text
+         * @returns {Function|null} Returns the [start, end] ranges of each match in a string, or null if the regex is invalid
+         */
+        createSearchMatcher() {
+          const { query, caseSensitive, regex } = this.search;
+          let pattern;
+          try {
+            pattern = new RegExp(regex ? query : query.replace(/[.*+?^\${}()|[\\]\\\\]/g, '\\\\$&'), caseSensitive ? 'g' : 'gi');
+          } catch (e) {
+            return null;
+          }
+          return (text) => {
+            const ranges = [];
+            for (const match of text.matchAll(pattern)) {
+              if (match[0] !== '') ranges.push([match.index, match.index + match[0].length]);
+            }
+            return ranges;
+          };
+        }
+
+        /**
+         * Removes the highlights and filtering from the last search
+         */
+        clearSearch() {
+          this.container.querySelectorAll('mark.json-viewer-match').forEach(mark => {
+            const parent = mark.parentNode;
+            parent.replaceChild(document.createTextNode(mark.textContent), mark);
+            parent.normalize();
+          });
+          this.container.querySelectorAll('.json-viewer-search-hit, .json-viewer-filtered-out').forEach(node => {
+            node.classList.remove('json-viewer-search-hit', 'json-viewer-filtered-out');
+          });
+          this.searchMatches = [];
+          this.searchIndex = -1;
+          this.searchFound = null;
+          this.currentMark = null;
+        }
+
+        /**
+         * Wraps the matched parts of a key or value element's text in highlight marks
+         * @param {HTMLElement} element - The key or value element
+         * @param {number[][]} ranges - The [start, end] ranges of the matches in its text
+         * @returns {HTMLElement[]} The marks
+         */
+        highlightRanges(element, ranges) {
+          const text = element.firstChild;
+          if (!text || text.nodeType !== Node.TEXT_NODE) return [];
+          const fragment = document.createDocumentFragment();
+          const marks = [];
+          let last = 0;
+          ranges.forEach(([start, end]) => {
+            if (start > last) fragment.appendChild(document.createTextNode(text.data.slice(last, start)));
+            const mark = document.createElement('mark');
+            mark.className = 'json-viewer-match';
+            mark.textContent = text.data.slice(start, end);
+            fragment.appendChild(mark);
+            marks.push(mark);
+            last = end;
+          });
+          if (last < text.data.length) fragment.appendChild(document.createTextNode(text.data.slice(last)));
+          element.replaceChild(fragment, text);
+          return marks;
+        }
+
+        /**
+         * Finds the keys and values that match the search in the data, without building their nodes, then goes to
+         * the first match. The nodes already built are highlighted (and, in filter mode, hidden when they have no
+         * match) now, the rest as they are built
+         */
+        applySearch() {
+          clearTimeout(this.searchTimer);
+          this.searchTimer = null;
+          this.clearSearch();
+          const search = this.container.querySelector('#' + this.container.id + '-search');
+          const count = this.container.querySelector('#' + this.container.id + '-search-count');
+          const tree = this.container.querySelector('.json-viewer-tree > .json-viewer-node');
+          const matcher = this.search.query ? this.createSearchMatcher() : null;
+          if (search) search.classList.toggle('json-viewer-search-invalid', this.search.query !== '' && matcher === null);
+          if (!tree || !matcher) {
+            this.updateSearchCount();
+            if (count && this.search.query !== '') count.textContent = 'Invalid regex';
+            return;
+          }
+
+          // Each match is recorded with the chain of child indexes that leads to its node (for goToMatch), and
+          // each node with a match below it by path (for filter mode); keys are matched on their name, without
+          // the ': ' after it
+          const searchKeys = this.search.scope !== 'values';
+          const searchValues = this.search.scope !== 'keys';
+          const found = { hits: new Map(), onPath: new Set(), childIndexes: new Map() };
+          const record = (path, trail, keyRanges, valueRanges) => {
+            found.hits.set(path, { keyRanges, valueRanges, marks: null });
+            for (let offset = 0; offset < keyRanges.length + valueRanges.length; offset++) {
+              this.searchMatches.push({ trail, path, offset });
+            }
+          };
+          const trail = [];
+          const visit = (specs, parentPath) => {
+            let below = false;
+            specs.forEach((spec, index) => {
+              trail.push(index);
+              const type = this.getType(spec.value);
+              const isContainer = !spec.stack && ['object', 'array', 'map', 'set', 'error'].includes(type);
+              const keyRanges = searchKeys ? matcher(String(spec.key)) : [];
+              const valueRanges = searchValues && !isContainer && !spec.stack ? matcher(this.getValueText(spec.value)) : [];
+              let matched = keyRanges.length > 0 || valueRanges.length > 0;
+              if (matched) record(spec.path, trail.slice(), keyRanges, valueRanges);
+              if (isContainer && visit(this.getChildSpecs(spec.value, type, spec.path), spec.path)) {
+                found.onPath.add(spec.path);
+                matched = true;
+              }
+              if (matched) {
+                if (!found.childIndexes.has(parentPath)) found.childIndexes.set(parentPath, new Set());
+                found.childIndexes.get(parentPath).add(index);
+                below = true;
+              }
+              trail.pop();
+            });
+            return below;
+          };
+          const rootPath = tree.getAttribute('data-path');
+          const rootState = this.childState.get(tree);
+          if (rootState) {
+            if (visit(rootState.specs, rootPath)) found.onPath.add(rootPath);
+          } else if (searchValues) {
+            const ranges = matcher(tree.querySelector(':scope > .json-viewer-header > .json-viewer-value').textContent);
+            if (ranges.length) record(rootPath, [], [], ranges);
+          }
+
+          this.searchFound = found;
+          this.decorateSearch(tree);
+          this.goToMatch(0);
+        }
+
+        /**
+         * Highlights the search matches in a node and the nodes built inside it and, in filter mode, hides the ones
+         * with no match in, above or below them. Called for the whole tree by applySearch, then for each node built
+         * while a search is showing
+         * @param {HTMLElement} node - The node element
+         */
+        decorateSearch(node) {
+          const found = this.searchFound;
+          if (!found) return;
+          [node, ...node.querySelectorAll('.json-viewer-node')].forEach(item => {
+            const isBucket = item.classList.contains('json-viewer-bucket');
+            const isMore = item.classList.contains('json-viewer-more');
+            const hit = isBucket || isMore ? undefined : found.hits.get(item.getAttribute('data-path'));
+            if (hit && !hit.marks) {
+              const header = item.querySelector(':scope > .json-viewer-header');
+              hit.marks = [];
+              if (hit.keyRanges.length) hit.marks.push(...this.highlightRanges(header.querySelector('.json-viewer-key'), hit.keyRanges));
+              if (hit.valueRanges.length) hit.marks.push(...this.highlightRanges(header.querySelector(':scope > .json-viewer-value'), hit.valueRanges));
+              item.classList.add('json-viewer-search-hit');
+            }
+            const parent = item.parentElement && item.parentElement.closest('.json-viewer-node');
+            if (!this.search.filter || !parent) return;
+            // Buckets and "more" rows stand for their parent's children, so they are kept for the ones with a match
+            let visible;
+            if (isBucket) {
+              const [first, last] = item.getAttribute('data-bucket').slice(1, -1).split('…').map(Number);
+              const indexes = found.childIndexes.get(item.getAttribute('data-path'));
+              visible = !!indexes && [...indexes].some(index => index >= first && index <= last);
+            } else if (isMore) {
+              visible = found.onPath.has(parent.getAttribute('data-path'));
+            } else {
+              visible = !!hit || found.onPath.has(item.getAttribute('data-path'));
+            }
+            item.classList.toggle('json-viewer-filtered-out', !visible && !parent.closest('.json-viewer-search-hit'));
+          });
+        }
+
+        /**
+         * Makes a match the current one, building its node and expanding the nodes above it, and scrolls to it.
+         * Wraps around at either end
+         * @param {number} index - The index of the match
+         */
+        goToMatch(index) {
+          const total = this.searchMatches.length;
+          if (total === 0) {
+            this.updateSearchCount();
+            return;
+          }
+          if (this.currentMark) this.currentMark.classList.remove('json-viewer-match-current');
+          this.searchIndex = ((index % total) + total) % total;
+          const match = this.searchMatches[this.searchIndex];
+          const tree = this.container.querySelector('.json-viewer-tree > .json-viewer-node');
+          const node = match.trail.reduce((parent, childIndex) => this.materializeChild(parent, childIndex), tree);
+          this.expandAncestors(node);
+          this.decorateSearch(node);
+          const marks = this.searchFound.hits.get(match.path).marks;
+          this.currentMark = (marks && marks[match.offset]) || null;
+          if (this.currentMark) this.currentMark.classList.add('json-viewer-match-current');
+          const target = this.currentMark || node;
+          if (typeof target.scrollIntoView === 'function') target.scrollIntoView({ block: 'nearest' });
+          this.updateSearchCount();
+        }
+
+        /**
+         * Updates the match counter and enables the next/previous buttons when there are matches
+         */
+        updateSearchCount() {
+          const id = this.container.id;
+          const count = this.container.querySelector('#' + id + '-search-count');
+          const total = this.searchMatches.length;
+          if (count) {
+            count.textContent = this.search.query === '' ? '' : total === 0 ? 'No matches' : (this.searchIndex + 1) + ' of ' + total;
+          }
+          ['previous', 'next'].forEach(name => {
+            const button = this.container.querySelector('#' + id + '-search-' + name);
+            if (button) button.disabled = total === 0;
+          });
+        }
+
         /**
          * Updates the display based on current options
          */
@@ -945,7 +2990,7 @@ const JSONViewerModule = {
         }
 
         /**
-         * Completely re-renders the viewer (for toggling pathsOnHover)
+         * Completely re-renders the viewer (for toggling pathsOnHover and sortKeys), keeping the search
          */
         refresh() {
           // Remove all children
@@ -976,34 +3021,67 @@ const JSONViewerModule = {
             this.container.appendChild(titleDiv);
           }
           const root = this.createNode(null, data);
-          this.container.appendChild(root);
+          this.container.appendChild(this.createTree(root, title));
+          const status = document.createElement('div');
+          status.className = 'json-viewer-status';
+          status.setAttribute('role', 'status');
+          this.container.appendChild(status);
+          if (this.search.query) this.applySearch();
+          else this.updateSearchCount();
         }
-      }
 
-      // Initialize the viewer
-      const container = document.getElementById('${containerId}');
-      if (container) {
-        const viewer = new JSONViewer(container, ${JSON.stringify(options)});
-        viewer.render(container.getAttribute('data-json'));
+        /**
+         * Starts a viewer for each container on the page that does not have one yet, using the options in its
+         * data-options attribute. Call it again after adding viewers to the page from script
+         */
+        static init() {
+          document.querySelectorAll('.json-viewer-container[data-json]:not([data-json-viewer-ready])').forEach((container) => {
+            container.setAttribute('data-json-viewer-ready', '');
+            const viewer = new JSONViewer(container, JSON.parse(container.getAttribute('data-options') || '{}'));
+            viewer.render(container.getAttribute('data-json'));
+          });
+        }
       }
+
+      window.JSONViewer = JSONViewer;
+      JSONViewer.init();
+      // Viewers further down the page are started once it has loaded
+      if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => JSONViewer.init());
     })();
   `,
 
   /**
-   * Generates the complete HTML output for the JSON viewer
+   * Generates the HTML output for the JSON viewer: a container holding the data and options, which the runtime
+   * script turns into a viewer, and the runtime itself
    * @param {*} json - The JSON data to display
    * @param {Object} options - Viewer configuration options
    * @param {string} [options.title] - Optional title to display above the controls
+   * @param {string} [options.runtime='inline'] - How the CSS and script are included: one of RUNTIME_MODES
+   * @param {string} [options.runtimePath='/assets/json-viewer/'] - Where the 'external' runtime files are served from
+   * @param {string} [options.theme='light'] - The colour theme: one of THEME_NAMES
    * @returns {string} The complete HTML output
    */
   generate: (json, options = {}) => {
+    const runtime = options.runtime || 'inline';
+    if (!RUNTIME_MODES.includes(runtime)) {
+      throw new TypeError(`Unknown runtime "${runtime}"; expected one of ${RUNTIME_MODES.join(', ')}`);
+    }
+    const theme = options.theme || 'light';
+    if (!THEME_NAMES.includes(theme)) {
+      throw new TypeError(`Unknown theme "${theme}"; expected one of ${THEME_NAMES.join(', ')}`);
+    }
     const containerId = JSONViewerModule.generateId();
     // If json is already a string (from stringifyPlus), use it directly
     // Otherwise, stringify it
     const jsonString = typeof json === 'string' ? json : JSON.stringify(json);
-    const escapedJsonString = jsonString.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     // The title will be rendered by JS if present
-    return `<style>${JSONViewerModule.getStyles()}</style><div id="${containerId}" class="json-viewer-container" data-json='${escapedJsonString}' data-title='${options.title ? options.title.replace(/'/g, '&#39;').replace(/"/g, '&quot;') : ''}'></div><script>${JSONViewerModule.getScript(containerId, options)}</script>`;
+    const container = `<div id="${containerId}" class="json-viewer-container" data-theme="${theme}" data-json='${escapeAttribute(jsonString)}' data-title='${escapeAttribute(options.title || '')}' data-options='${escapeAttribute(JSON.stringify(options))}'></div>`;
+    if (runtime === 'none') return container;
+    if (runtime === 'external') {
+      const base = options.runtimePath || '/assets/json-viewer/';
+      return `<link rel="stylesheet" href="${base}json-viewer.css" ${RUNTIME_ATTRIBUTE}>${container}<script src="${base}json-viewer.js" defer ${RUNTIME_ATTRIBUTE}></script>`;
+    }
+    return `<style ${RUNTIME_ATTRIBUTE}>${JSONViewerModule.getStyles()}</style>${container}<script ${RUNTIME_ATTRIBUTE}>${JSONViewerModule.getScript()}</script>`;
   }
 };
 
@@ -1015,9 +3093,43 @@ const JSONViewerModule = {
  * @param {boolean} [options.defaultExpanded=false] - Whether nodes are expanded by default
  * @param {boolean} [options.pathsOnHover=false] - Whether to show key path hover panel
  * @param {boolean} [options.showControls=false] - Whether to show controls
- * @param {number} [options.indentWidth=6] - The number of pixels to indent each level
+ * @param {number} [options.indentWidth] - The number of pixels to indent each level. Leave it unset to use the
+ *   --json-viewer-indent custom property (6px by default), which a page's styles can change
+ * @param {number} [options.bucketSize=100] - Group containers with more children than this into DevTools-style ranges
+ *   such as [0…99] (nested for very long lists); 0 turns buckets off
+ * @param {number} [options.windowSize=250] - How many children of a container are built at a time; the rest are built
+ *   as the list scrolls into view. 0 builds them all at once
+ * @param {number} [options.searchDelay=200] - How long the search box waits after the last keystroke before searching,
+ *   in milliseconds
  * @param {boolean} [options.showTemplate=false] - If true, shows 'template' keys; if false, replaces them with performance message
  * @param {Array} [options.removeKeys=[]] - Array of keys to remove/replace (passed to stringifyPlus)
+ * @param {boolean} [options.dedupe=false] - Show repeated shared references as links to the original (passed to stringifyPlus)
+ * @param {boolean} [options.functionSignatures] - Show functions with their parameters, e.g. [async function load(url)] (passed to stringifyPlus)
+ * @param {number} [options.functionSource] - Also include this many characters of function source, shown in an expandable block (passed to stringifyPlus)
+ * @param {boolean} [options.resolvePromises] - Await Promises and show their values, rejections or a pending marker (passed to stringifyPlus)
+ * @param {number} [options.promiseTimeout] - How long to wait for each Promise, in milliseconds (passed to stringifyPlus)
+ * @param {boolean|Function} [options.sortKeys=false] - Sort object keys alphabetically, or with a comparator (passed to stringifyPlus).
+ *   The viewer's "Sort Keys" control starts checked when this is true
+ * @param {boolean} [options.typed=false] - If true, special values are passed as lossless $type envelopes (passed to stringifyPlus)
+ * @param {boolean|Object} [options.redact=false] - Replace likely secrets with a "[redacted]" marker (passed to stringifyPlus)
+ * @param {Array} [options.serializers] - Formatters for class instances (passed to stringifyPlus)
+ * @param {Array} [options.adapters] - Read-only adapters for Eleventy internals (passed to stringifyPlus)
+ * @param {boolean} [options.includeNonEnumerable] - Also show own non-enumerable properties, dimmed (passed to stringifyPlus)
+ * @param {boolean} [options.includeSymbols] - Also show symbol-keyed properties, in italics (passed to stringifyPlus)
+ * @param {boolean} [options.includeGetters] - Also show getters from the prototype chain, marked with ƒ (passed to stringifyPlus)
+ * @param {number} [options.maxDepth] - Truncate containers nested deeper than this (passed to stringifyPlus)
+ * @param {number} [options.maxArrayItems] - Truncate arrays, Sets and Maps longer than this (passed to stringifyPlus)
+ * @param {number} [options.maxStringLength] - Truncate strings longer than this (passed to stringifyPlus)
+ * @param {number} [options.maxOutputBytes] - Approximate output budget (passed to stringifyPlus)
+ * @param {string} [options.pathFormat='js'] - Notation for copied paths and for ref markers: 'js' (`root.a["my-key"][0]`),
+ *   'pointer' (`/a/my-key/0`), 'jsonpath' (`$.a['my-key'][0]`) or 'template' (`a["my-key"][0]`) (shared with stringifyPlus)
+ * @param {string} [options.runtime='inline'] - How the viewer's CSS and script are included: 'inline', 'external' (links to
+ *   the files jsonViewerPlugin writes to runtimePath) or 'none'. Without the plugin there are no such files, so the
+ *   filter inlines by default; the plugin makes 'external' the default for the filters it adds
+ * @param {string} [options.runtimePath='/assets/json-viewer/'] - Where the 'external' runtime files are served from
+ * @param {string} [options.theme='light'] - The colour theme: 'light', 'dark', 'high-contrast', or 'auto' to follow the
+ *   reader's prefers-color-scheme (and prefers-contrast) setting. Every colour, font and spacing value is also a
+ *   --json-viewer-* CSS custom property that a page can set on .json-viewer-container
  * @returns {Promise<string>} HTML string for the JSON viewer
  */
 const jsonViewer = async function jsonViewer(json, options = {}) {
@@ -1028,18 +3140,84 @@ const jsonViewer = async function jsonViewer(json, options = {}) {
     defaultExpanded: false,
     pathsOnHover: false,
     showControls: false,
-    indentWidth: 6,
+    bucketSize: 100,
+    windowSize: 250,
+    searchDelay: 200,
+    runtime: 'inline',
+    theme: 'light',
     // Passed to stringifyPlus
-    showTemplate: false
+    showTemplate: false,
+    // Used by both, so copied paths match the paths in ref markers
+    pathFormat: 'js'
   };
   options = Object.assign({}, defaults, options);
-  const processedJSON = await stringifyPlus(json, options);
+  const processedJSON = await stringifyPlus(json, Object.assign({}, options, { format: 'json' }));
   const html = JSONViewerModule.generate(processedJSON, options);
   return html;
 }
 
+/**
+ * Keeps only the first runtime <style>, <script> and <link> on a page, so a page with many viewers loads the
+ * CSS and script once
+ * @param {string} html - The page
+ * @returns {string} The page without the repeated runtime tags
+ */
+function dedupeRuntime(html) {
+  const seen = new Set();
+  const runtimeTag = /<(style|script)\b[^>]*\bdata-json-viewer-runtime\b[^>]*>[\s\S]*?<\/\1>|<link\b[^>]*\bdata-json-viewer-runtime\b[^>]*>/g;
+  return html.replace(runtimeTag, (tag, name = 'link') => {
+    if (seen.has(name)) return '';
+    seen.add(name);
+    return tag;
+  });
+}
+
+/**
+ * Eleventy plugin that adds the jsonViewer filter and sends the viewer's CSS and script once per page, however
+ * many viewers the page has. By default the runtime is written to runtimePath in the output folder after each build
+ * and pages link to it; with `runtime: 'inline'` the first viewer on each page carries it instead
+ * @param {Object} eleventyConfig - Eleventy's config API
+ * @param {Object} [pluginOptions] - Plugin options
+ * @param {string} [pluginOptions.filterName='jsonViewer'] - The name of the filter
+ * @param {string} [pluginOptions.runtime='external'] - 'external' or 'inline'; the filter's runtime option overrides it
+ * @param {string} [pluginOptions.runtimePath='/assets/json-viewer/'] - Where the runtime files are written to and served from,
+ *   under the site's pathPrefix
+ */
+const jsonViewerPlugin = function jsonViewerPlugin(eleventyConfig, pluginOptions = {}) {
+  const defaults = {
+    filterName: 'jsonViewer',
+    runtime: 'external',
+    runtimePath: '/assets/json-viewer/'
+  };
+  const options = Object.assign({}, defaults, pluginOptions);
+
+  // Nunjucks only awaits filters that are async functions
+  eleventyConfig.addFilter(options.filterName, async (json, filterOptions = {}) => {
+    const viewerOptions = Object.assign({ runtime: options.runtime, runtimePath: options.runtimePath }, filterOptions);
+    // Through Eleventy's url filter, so sites deployed under a pathPrefix find the runtime files
+    viewerOptions.runtimePath = eleventyConfig.getFilter('url')(viewerOptions.runtimePath);
+    return jsonViewer(json, viewerOptions);
+  });
+
+  if (options.runtime === 'external') {
+    // Written after each build, into whichever output folder Eleventy resolved for it
+    eleventyConfig.on('eleventy.after', async ({ directories, outputMode }) => {
+      if (outputMode && outputMode !== 'fs') return;
+      const runtimeDir = path.join(directories.output, options.runtimePath.replace(/^\/+|\/+$/g, ''));
+      await fs.promises.mkdir(runtimeDir, { recursive: true });
+      await fs.promises.writeFile(path.join(runtimeDir, 'json-viewer.css'), JSONViewerModule.getStyles());
+      await fs.promises.writeFile(path.join(runtimeDir, 'json-viewer.js'), JSONViewerModule.getScript());
+    });
+  }
+
+  eleventyConfig.addTransform('json-viewer-runtime', function (content) {
+    const outputPath = this.page && this.page.outputPath;
+    return typeof outputPath === 'string' && outputPath.endsWith('.html') ? dedupeRuntime(content) : content;
+  });
+}
+
 export default jsonViewer;
-export { jsonViewer };
+export { jsonViewer, jsonViewerPlugin };
 
 //
 // End of json-viewer.js
@@ -4,11 +4,18 @@
  * Covers:
  *   - Rendering of basic and special JSON values
  *   - UI controls and interactivity
+ *   - Lazy rendering, buckets and windows for large data
+ *   - The shared runtime and the Eleventy plugin
+ *   - Themes and CSS custom properties
  *   - Edge cases and API usage
  */
 import { describe, it, expect, beforeEach } from 'vitest';
 import { JSDOM } from 'jsdom';
-import jsonViewer from './json-viewer.js';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import jsonViewer, { jsonViewerPlugin } from './json-viewer.js';
+import { stringifyPlus } from './stringify-plus.js';
 
 // Helper to extract HTML from the viewer
 function getViewerHTML(json, options = {}) {
@@ -30,6 +37,11 @@ async function renderInJsdom(html) {
   return dom;
 }
 
+// Helper to check whether a node's content is shown, i.e. the node it belongs to is not collapsed
+function isShown(content) {
+  return !content.parentElement.classList.contains('json-viewer-collapsed');
+}
+
 describe('json-viewer', () => {
   let dom;
   let container;
@@ -77,7 +89,7 @@ describe('json-viewer', () => {
 
   it('renders deeply nested structures in the DOM', async () => {
     const nested = { a: { b: { c: { d: 1 } } } };
-    const html = await getViewerHTML(nested);
+    const html = await getViewerHTML(nested, { defaultExpanded: true });
     const dom = await renderInJsdom(html);
     const container = dom.window.document.querySelector('.json-viewer-container');
     expect(container.textContent).toContain('d:');
@@ -114,6 +126,260 @@ describe('json-viewer', () => {
     expect(data.self.self).toContain('[Circular Ref:');
   });
 
+  it('renders Maps and Sets with their own type labels', async () => {
+    const html = await getViewerHTML({ m: new Map([['a', 1], ['b', 2]]), s: new Set(['x']) }, { showTypes: true, defaultExpanded: true });
+    const data = extractDataJson(html);
+    expect(data.m).toEqual({ '[Map]': [['a', 1], ['b', 2]] });
+    const dom = await renderInJsdom(html);
+    const container = dom.window.document.querySelector('.json-viewer-container');
+    const types = [...container.querySelectorAll('.json-viewer-type')].map(el => el.textContent);
+    expect(types).toContain('map');
+    expect(types).toContain('set');
+    const counts = [...container.querySelectorAll('.json-viewer-count')].map(el => el.textContent);
+    expect(counts).toContain('(2)');
+    expect(counts).toContain('(1)');
+    expect(container.textContent).toContain('a:');
+    expect(container.textContent).toContain('"x"');
+  });
+
+  it('renders typed envelopes without confusing them with user strings', async () => {
+    const html = await getViewerHTML({ real: function foo() { }, fake: '[function x]', iso: '2024-01-01T00:00:00.000Z' }, { typed: true });
+    const data = extractDataJson(html);
+    expect(data.real).toEqual({ $type: 'function', name: 'foo' });
+    const dom = await renderInJsdom(html);
+    const container = dom.window.document.querySelector('.json-viewer-container');
+    const functions = [...container.querySelectorAll('.json-viewer-content .json-viewer-function')].map(el => el.textContent);
+    expect(functions).toEqual(['[function foo]']);
+    const strings = [...container.querySelectorAll('.json-viewer-content .json-viewer-string')].map(el => el.textContent);
+    expect(strings).toContain('"[function x]"');
+    expect(strings).toContain('"2024-01-01T00:00:00.000Z"');
+    expect(container.querySelectorAll('.json-viewer-date').length).toBe(0);
+  });
+
+  it('shows class names for typed class instances', async () => {
+    class Person { constructor(name) { this.name = name; } }
+    const html = await getViewerHTML({ p: new Person('Ann') }, { typed: true, showTypes: true });
+    const dom = await renderInJsdom(html);
+    const container = dom.window.document.querySelector('.json-viewer-container');
+    const types = [...container.querySelectorAll('.json-viewer-type')].map(el => el.textContent);
+    expect(types).toContain('Person');
+    expect(container.textContent).toContain('"Ann"');
+  });
+
+  it('shows class names for typed class instances serialized to a plain value', async () => {
+    class DateTime { constructor(iso) { this.iso = iso; } toJSON() { return this.iso; } }
+    const html = await getViewerHTML({ when: new DateTime('2024-05-01') }, { typed: true, showTypes: true });
+    const dom = await renderInJsdom(html);
+    const container = dom.window.document.querySelector('.json-viewer-container');
+    const types = [...container.querySelectorAll('.json-viewer-type')].map(el => el.textContent);
+    expect(types).toContain('DateTime');
+    expect(container.querySelector('.json-viewer-string').textContent).toBe('"2024-05-01"');
+  });
+
+  it('renders truncation markers in their own style', async () => {
+    const html = await getViewerHTML({ arr: [1, 2, 3], deep: { a: { b: 1 } }, text: 'abcdefgh' }, { maxArrayItems: 1, maxDepth: 2, maxStringLength: 3, defaultExpanded: true });
+    const dom = await renderInJsdom(html);
+    const container = dom.window.document.querySelector('.json-viewer-container');
+    const markers = [...container.querySelectorAll('.json-viewer-content .json-viewer-truncated')].map(el => el.textContent);
+    expect(new Set(markers)).toEqual(new Set(['[… 2 more items]', '[truncated at depth 2]', '[… 5 more characters]']));
+    expect(container.textContent).toContain('"abc…"');
+  });
+
+  it('renders redacted values with the redacted style', async () => {
+    const html = await getViewerHTML({ apiKey: 'abc', visible: 'ok' }, { redact: true });
+    expect(html).not.toContain('abc');
+    const dom = await renderInJsdom(html);
+    const container = dom.window.document.querySelector('.json-viewer-container');
+    const redacted = container.querySelector('.json-viewer-content .json-viewer-redacted');
+    expect(redacted.textContent).toBe('[redacted]');
+    expect(container.textContent).toContain('"ok"');
+  });
+
+  it('shows function signatures inline and source in an expandable block', async () => {
+    function add(a, b = 1) { return a + b; }
+    for (const typed of [false, true]) {
+      const html = await getViewerHTML({ add, plain: async function load(url) {} }, { typed, functionSource: 200 });
+      const dom = await renderInJsdom(html);
+      const container = dom.window.document.querySelector('.json-viewer-container');
+      const node = container.querySelector('.json-viewer-content [data-key="add"]');
+      expect(node.querySelector('.json-viewer-header .json-viewer-function').textContent).toBe('[function add(a, b = 1)]');
+      const source = node.querySelector('.json-viewer-source');
+      expect(source.textContent).toBe('function add(a, b = 1) { return a + b; }');
+      expect(isShown(source.closest('.json-viewer-content'))).toBe(false);
+      node.querySelector('.json-viewer-toggle').click();
+      expect(isShown(source.closest('.json-viewer-content'))).toBe(true);
+    }
+  });
+
+  it('marks truncated function source', async () => {
+    function add(a, b) { return a + b; }
+    const html = await getViewerHTML({ add }, { functionSource: 10 });
+    const dom = await renderInJsdom(html);
+    const source = dom.window.document.querySelector('.json-viewer-content .json-viewer-source');
+    expect(source.textContent).toBe('function a…[… 26 more characters]');
+    expect(source.querySelector('.json-viewer-truncated').textContent).toBe('[… 26 more characters]');
+  });
+
+  it('renders resolved, rejected and pending Promises', async () => {
+    const input = () => ({ ok: Promise.resolve('done'), failed: Promise.reject(new Error('boom')), slow: new Promise(() => {}) });
+    for (const typed of [false, true]) {
+      const html = await getViewerHTML(input(), { typed, resolvePromises: true, promiseTimeout: 10 });
+      const dom = await renderInJsdom(html);
+      const container = dom.window.document.querySelector('.json-viewer-container');
+      expect(container.querySelector('.json-viewer-content [data-key="ok"] .json-viewer-string').textContent).toBe('"done"');
+      expect(container.querySelector('.json-viewer-content .json-viewer-promise-rejected').textContent).toBe('[Promise rejected: Error: boom]');
+      expect(container.querySelector('.json-viewer-content .json-viewer-promise-pending').textContent).toBe('[Promise pending after 10ms]');
+    }
+  });
+
+  it('renders NaN, Infinity and -0 with a number warning style', async () => {
+    for (const typed of [false, true]) {
+      const html = await getViewerHTML({ total: NaN, max: -Infinity, zero: -0, ok: 1 }, { typed, showTypes: true });
+      const dom = await renderInJsdom(html);
+      const container = dom.window.document.querySelector('.json-viewer-container');
+      const warnings = [...container.querySelectorAll('.json-viewer-content .json-viewer-number-warning')].map(el => el.textContent);
+      expect(warnings).toEqual(['NaN', '-Infinity', '-0']);
+      const total = container.querySelector('.json-viewer-content [data-key="total"]');
+      expect(total.querySelector('.json-viewer-type').textContent).toBe('number');
+      expect(container.querySelector('.json-viewer-content [data-key="ok"] .json-viewer-number-warning')).toBe(null);
+    }
+  });
+
+  it('shows class names for class instances', async () => {
+    class Person { constructor(name) { this.name = name; } }
+    const html = await getViewerHTML({ author: new Person('Ann'), list: [new Person('Bo')] }, { showTypes: true });
+    const data = extractDataJson(html);
+    expect(data.author).toEqual({ '[[Class]]': 'Person', name: 'Ann' });
+    const dom = await renderInJsdom(html);
+    const container = dom.window.document.querySelector('.json-viewer-container');
+    const types = [...container.querySelectorAll('.json-viewer-type')].map(el => el.textContent);
+    expect(types).toContain('Person');
+    expect(types).not.toContain('[[Class]]');
+    expect(container.textContent).toContain('Person {…}');
+    expect(container.textContent).not.toContain('[[Class]]:');
+  });
+
+  it('styles non-enumerable, symbol and getter keys', async () => {
+    class Page {
+      constructor() {
+        this.url = '/a/';
+        Object.defineProperty(this, 'secretId', { value: 7, enumerable: false });
+        this[Symbol('meta')] = 'm';
+      }
+      get templateContent() { throw new Error('too early'); }
+    }
+    const options = { includeNonEnumerable: true, includeSymbols: true, includeGetters: true, defaultExpanded: true };
+    const html = await getViewerHTML({ page: new Page() }, options);
+    const dom = await renderInJsdom(html);
+    const container = dom.window.document.querySelector('.json-viewer-container');
+    const keyClass = key => [...container.querySelectorAll('.json-viewer-content .json-viewer-key')]
+      .find(el => el.textContent === key + ': ').className;
+    expect(keyClass('url')).toBe('json-viewer-key');
+    expect(keyClass('secretId')).toContain('json-viewer-key-non-enumerable');
+    expect(keyClass('[Symbol meta]')).toContain('json-viewer-key-symbol');
+    expect(keyClass('templateContent')).toContain('json-viewer-key-getter');
+    expect(container.querySelector('.json-viewer-content .json-viewer-thrown').textContent).toBe('[threw Error: too early]');
+    expect(container.textContent).not.toContain('[[KeyKinds]]');
+  });
+
+  it('renders Errors in the error style with the stack collapsed', async () => {
+    const error = new TypeError('fetch failed', { cause: new Error('ECONNREFUSED') });
+    error.stack = 'TypeError: fetch failed\n    at load (/src/_data/posts.js:12:5)\n    at main (/src/index.js:1:1)';
+    const html = await getViewerHTML({ error }, { defaultExpanded: true, showTypes: true });
+    const dom = await renderInJsdom(html);
+    const container = dom.window.document.querySelector('.json-viewer-container');
+    const errorNode = container.querySelector('.json-viewer-error-node');
+    expect(errorNode.querySelector('.json-viewer-type').textContent).toBe('TypeError');
+    expect(errorNode.querySelector('.json-viewer-error').textContent).toBe('TypeError: fetch failed');
+    const stack = errorNode.querySelector('.json-viewer-stack');
+    expect(isShown(stack.querySelector('.json-viewer-content'))).toBe(false);
+    expect(stack.querySelector('.json-viewer-collapsed-preview').textContent).toBe('[2 frames]');
+    expect([...stack.querySelectorAll('.json-viewer-stack-frame')].map(el => el.textContent))
+      .toEqual(['at load (/src/_data/posts.js:12:5)', 'at main (/src/index.js:1:1)']);
+    stack.querySelector('.json-viewer-toggle').click();
+    expect(isShown(stack.querySelector('.json-viewer-content'))).toBe(true);
+    const causeTypes = [...errorNode.querySelectorAll('.json-viewer-error-node .json-viewer-type')].map(el => el.textContent);
+    expect(causeTypes).toContain('Error');
+    expect(container.textContent).not.toContain('[Error]');
+  });
+
+  it('labels and colours built-in types', async () => {
+    const data = { re: /x/g, url: new URL('https://example.com/'), bytes: new Uint8Array([1, 255]), weakMap: new WeakMap() };
+    for (const typed of [false, true]) {
+      const html = await getViewerHTML(data, { typed, showTypes: true, defaultExpanded: true });
+      const dom = await renderInJsdom(html);
+      const container = dom.window.document.querySelector('.json-viewer-container');
+      const node = key => container.querySelector('.json-viewer-content [data-key="' + key + '"]');
+      expect(node('re').querySelector('.json-viewer-regexp')).not.toBeNull();
+      expect(node('re').querySelector('.json-viewer-type').textContent).toBe('regexp');
+      expect(node('url').querySelector('.json-viewer-url').textContent).toContain('https://example.com/');
+      expect(node('bytes').querySelector('.json-viewer-bytes').textContent).toContain('2 bytes: 01 ff');
+      expect(node('bytes').querySelector('.json-viewer-type').textContent).toBe('Uint8Array');
+      expect(node('weakMap').querySelector('.json-viewer-opaque').textContent).toBe('[WeakMap]');
+      expect(node('weakMap').querySelector('.json-viewer-type').textContent).toBe('WeakMap');
+    }
+  });
+
+  it('links deduplicated references to the original node', async () => {
+    const entry = { title: 'Post' };
+    const data = { collections: { all: [entry], post: [entry] }, byUrl: new Map([['/post/', { meta: entry }]]) };
+    const html = await getViewerHTML(data, { dedupe: true });
+    const dom = await renderInJsdom(html);
+    const container = dom.window.document.querySelector('.json-viewer-container');
+    const expand = key => container.querySelector('[data-key="' + key + '"] > .json-viewer-toggle').click();
+    expand('byUrl');
+    expand('/post/');
+    const link = container.querySelector('[data-key="meta"] .json-viewer-ref');
+    expect(link.textContent).toBe('[Ref: root.collections.all[0]]');
+    // The original is inside collapsed nodes, so it is only built when the link is followed
+    expect(container.querySelector('[data-key="all"] [data-key="0"]')).toBe(null);
+    link.click();
+    const original = container.querySelector('[data-key="all"] [data-key="0"]');
+    expect(isShown(original.closest('.json-viewer-content'))).toBe(true);
+    expect(isShown(container.querySelector('[data-key="collections"] > .json-viewer-content'))).toBe(true);
+    expect(original.querySelector('.json-viewer-header').classList.contains('json-viewer-highlight')).toBe(true);
+  });
+
+  it('follows references into Map entries', async () => {
+    const entry = { title: 'Post' };
+    const data = { byUrl: new Map([['/post/', entry]]), byKey: new Map([[{ id: 1 }, entry]]), all: [entry] };
+    const html = await getViewerHTML(data, { dedupe: true });
+    const dom = await renderInJsdom(html);
+    const container = dom.window.document.querySelector('.json-viewer-container');
+    const link = [...container.querySelectorAll('[data-key="all"] .json-viewer-ref')].pop();
+    expect(link.textContent).toBe('[Ref: root.byUrl[[Entries]][0][1]]');
+    link.click();
+    const original = container.querySelector('[data-key="byUrl"] [data-key="/post/"]');
+    expect(original.querySelector('.json-viewer-header').classList.contains('json-viewer-highlight')).toBe(true);
+  });
+
+  it('copies paths that quote keys and keep numeric keys apart from indexes', async () => {
+    const data = { 'my-key': { 7: ['a'] }, m: new Map([['k', 1]]) };
+    const paths = async (pathFormat) => {
+      const html = await getViewerHTML(data, { pathsOnHover: true, defaultExpanded: true, pathFormat });
+      const dom = await renderInJsdom(html);
+      return [...dom.window.document.querySelectorAll('.json-viewer-content .json-viewer-key-path')]
+        .filter(element => !element.closest('.json-viewer-collapsed-preview'))
+        .map(element => element.textContent);
+    };
+    expect(await paths('js')).toEqual(['root["my-key"]', 'root["my-key"]["7"]', 'root["my-key"]["7"][0]', 'root.m', 'root.m[[Entries]][0][1]']);
+    expect(await paths('pointer')).toEqual(['/my-key', '/my-key/7', '/my-key/7/0', '/m', '/m/[[Entries]]/0/1']);
+    expect(await paths('template')).toEqual(['["my-key"]', '["my-key"]["7"]', '["my-key"]["7"][0]', 'm', 'm[[Entries]][0][1]']);
+  });
+
+  it('follows references written in another path format', async () => {
+    const entry = { title: 'Post' };
+    const data = { 'my-key': { 7: entry }, all: [entry] };
+    const html = await getViewerHTML(data, { dedupe: true, pathFormat: 'jsonpath' });
+    const dom = await renderInJsdom(html);
+    const container = dom.window.document.querySelector('.json-viewer-container');
+    const link = [...container.querySelectorAll('[data-key="all"] .json-viewer-ref')].pop();
+    expect(link.textContent).toBe("[Ref: $['my-key']['7']]");
+    link.click();
+    const original = container.querySelector('[data-key="my-key"] [data-key="7"]');
+    expect(original.querySelector('.json-viewer-header').classList.contains('json-viewer-highlight')).toBe(true);
+  });
+
   // --- UI controls ---
   it('includes controls for show types and paths', async () => {
     const html = await getViewerHTML({ a: 1 }, { showControls: true, showTypes: true, pathsOnHover: true });
@@ -123,6 +389,356 @@ describe('json-viewer', () => {
     expect(container.textContent).toContain('Show Paths on Hover');
   });
 
+  it('reorders keys with the Sort Keys control, keeping expanded nodes open', async () => {
+    const html = await getViewerHTML({ b: 1, a: { d: 1, c: 2 } }, { showControls: true });
+    const dom = await renderInJsdom(html);
+    const document = dom.window.document;
+    // Keys of the direct children of a node's content, in rendered order
+    const childKeys = (node) => Array.from(node.querySelector('.json-viewer-content').children).map(child => child.getAttribute('data-key'));
+    document.querySelector('[data-key="a"] .json-viewer-toggle').click();
+    expect(childKeys(document.querySelector('.json-viewer-node'))).toEqual(['b', 'a']);
+    const checkbox = document.querySelector('input[id$="-sort-checkbox"]');
+    expect(checkbox.checked).toBe(false);
+    checkbox.click();
+    const root = document.querySelector('.json-viewer-node');
+    expect(childKeys(root)).toEqual(['a', 'b']);
+    expect(childKeys(document.querySelector('[data-key="a"]'))).toEqual(['c', 'd']);
+    expect(isShown(document.querySelector('[data-key="a"] .json-viewer-content'))).toBe(true);
+    expect(document.querySelector('input[id$="-sort-checkbox"]').checked).toBe(true);
+  });
+
+  it('sorts keys when sortKeys is passed', async () => {
+    const html = await getViewerHTML({ b: 1, a: 2 }, { showControls: true, sortKeys: true });
+    expect(extractDataJson(html)).toEqual({ a: 2, b: 1 });
+    expect(Object.keys(extractDataJson(html))).toEqual(['a', 'b']);
+    const dom = await renderInJsdom(html);
+    expect(dom.window.document.querySelector('input[id$="-sort-checkbox"]').checked).toBe(true);
+  });
+
+  describe('keyboard navigation', () => {
+    const data = { posts: [{ title: 'Hello' }, { title: 'World' }], site: { name: 'Blog' }, count: 2 };
+
+    // Renders the viewer and returns helpers to press keys on the focused item
+    async function renderTree() {
+      const dom = await renderInJsdom(await getViewerHTML(data));
+      const document = dom.window.document;
+      const item = (path) => [...document.querySelectorAll('[role="treeitem"]')].find(node => node.getAttribute('data-path') === path);
+      const press = (key) => document.activeElement.dispatchEvent(new dom.window.KeyboardEvent('keydown', { key, bubbles: true }));
+      const focused = () => document.activeElement.getAttribute('data-path');
+      return { dom, document, item, press, focused };
+    }
+
+    it('uses tree roles, levels, expanded states and labels', async () => {
+      const { document, item } = await renderTree();
+      const tree = document.querySelector('[role="tree"]');
+      expect(tree.getAttribute('aria-label')).toBe('JSON data');
+      expect(item('root').getAttribute('aria-level')).toBe('1');
+      expect(item('root').getAttribute('aria-expanded')).toBe('true');
+      expect(item('root').getAttribute('aria-label')).toBe('root, object, 3 keys');
+      expect(item('root.posts').getAttribute('aria-expanded')).toBe('false');
+      expect(item('root.posts').getAttribute('aria-label')).toBe('posts, array, 2 items');
+      expect(item('root.count').hasAttribute('aria-expanded')).toBe(false);
+      expect(item('root').querySelector(':scope > .json-viewer-content').getAttribute('role')).toBe('group');
+      expect([...document.querySelectorAll('[role="treeitem"]')].filter(node => node.tabIndex === 0)).toEqual([item('root')]);
+      item('root.posts').querySelector('.json-viewer-toggle').click();
+      expect(item('root.posts').getAttribute('aria-expanded')).toBe('true');
+      item('root.posts[0]').querySelector('.json-viewer-toggle').click();
+      expect(item('root.posts[0].title').getAttribute('aria-level')).toBe('4');
+      expect(item('root.posts[0].title').getAttribute('aria-label')).toBe('title, string, "Hello"');
+    });
+
+    it('moves, expands and collapses with the arrow keys, Home and End', async () => {
+      const { item, press, focused } = await renderTree();
+      item('root').focus();
+      press('ArrowDown');
+      expect(focused()).toBe('root.posts');
+      press('ArrowRight');
+      expect(item('root.posts').getAttribute('aria-expanded')).toBe('true');
+      expect(focused()).toBe('root.posts');
+      press('ArrowRight');
+      expect(focused()).toBe('root.posts[0]');
+      press('ArrowDown');
+      expect(focused()).toBe('root.posts[1]');
+      press('ArrowDown');
+      expect(focused()).toBe('root.site');
+      press('ArrowUp');
+      expect(focused()).toBe('root.posts[1]');
+      press('ArrowLeft');
+      expect(focused()).toBe('root.posts');
+      press('ArrowLeft');
+      expect(item('root.posts').getAttribute('aria-expanded')).toBe('false');
+      press('End');
+      expect(focused()).toBe('root.count');
+      expect(item('root.count').tabIndex).toBe(0);
+      expect(item('root.posts').tabIndex).toBe(-1);
+      press('Home');
+      expect(focused()).toBe('root');
+    });
+
+    it('expands siblings with * and copies the path with Enter', async () => {
+      const { dom, item, press, focused } = await renderTree();
+      let copied = null;
+      Object.defineProperty(dom.window.navigator, 'clipboard', { value: { writeText: async (text) => { copied = text; } } });
+      item('root.site').focus();
+      press('*');
+      expect(item('root.posts').getAttribute('aria-expanded')).toBe('true');
+      expect(item('root.site').getAttribute('aria-expanded')).toBe('true');
+      expect(item('root.posts[0]').getAttribute('aria-expanded')).toBe('false');
+      press('ArrowRight');
+      press('Enter');
+      expect(focused()).toBe('root.site.name');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(copied).toBe('root.site.name');
+      expect(dom.window.document.querySelector('[role="status"]').textContent).toBe('Copied root.site.name');
+    });
+  });
+
+  describe('search', () => {
+    const data = { collections: { all: [{ title: 'Hello World', url: '/hello/' }, { title: 'Other', url: '/other/' }] }, site: { name: 'hello site' } };
+
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    // Renders the viewer and returns a helper that types into its search controls and waits for the search
+    async function renderSearch(options = {}, searchData = data) {
+      const dom = await renderInJsdom(await getViewerHTML(searchData, Object.assign({ showControls: true, searchDelay: 0 }, options)));
+      const document = dom.window.document;
+      const control = (name) => document.querySelector('[id$="-search-' + name + '"]');
+      const type = (query) => {
+        control('input').value = query;
+        control('input').dispatchEvent(new dom.window.Event('input'));
+      };
+      const search = async (query) => {
+        type(query);
+        await wait(10);
+      };
+      const setOption = (name, checked) => {
+        const checkbox = control(name + '-checkbox');
+        if (checkbox.checked !== checked) checkbox.click();
+      };
+      const marks = () => [...document.querySelectorAll('mark.json-viewer-match')].map(mark => mark.textContent);
+      return { dom, document, control, type, search, setOption, marks };
+    }
+
+    it('highlights matching keys and values and expands the nodes above the current match', async () => {
+      const { document, control, search, marks } = await renderSearch();
+      const firstPost = () => document.querySelector('[data-key="all"] > .json-viewer-content > [data-key="0"]');
+      // Collapsed nodes are searched before their children are built
+      expect(firstPost()).toBe(null);
+      await search('hello');
+      expect(control('count').textContent).toBe('1 of 3');
+      expect(document.querySelector('.json-viewer-match-current').textContent).toBe('Hello');
+      expect(isShown(firstPost().closest('.json-viewer-content'))).toBe(true);
+      expect(isShown(firstPost().querySelector(':scope > .json-viewer-content'))).toBe(true);
+      // site.name is only built (and highlighted) once it becomes the current match
+      expect(marks()).toEqual(['Hello', 'hello']);
+      control('previous').click();
+      expect(marks()).toEqual(['Hello', 'hello', 'hello']);
+      expect(isShown(document.querySelector('[data-key="site"] > .json-viewer-content'))).toBe(true);
+      await search('');
+      expect(marks()).toEqual([]);
+      expect(document.querySelector('[data-key="title"] .json-viewer-value').textContent).toBe('"Hello World"');
+    });
+
+    it('steps through matches with the next and previous buttons, wrapping around', async () => {
+      const { document, control, search } = await renderSearch();
+      await search('hello');
+      control('next').click();
+      expect(control('count').textContent).toBe('2 of 3');
+      control('previous').click();
+      control('previous').click();
+      expect(control('count').textContent).toBe('3 of 3');
+      expect(document.querySelector('.json-viewer-match-current').closest('[data-key]').getAttribute('data-key')).toBe('name');
+      await search('nothing here');
+      expect(control('count').textContent).toBe('No matches');
+      expect(control('next').disabled).toBe(true);
+    });
+
+    it('searches keys or values only, case-sensitively or by regex', async () => {
+      const { control, search, setOption, marks } = await renderSearch();
+      const scope = control('scope');
+      scope.value = 'keys';
+      scope.dispatchEvent(new scope.ownerDocument.defaultView.Event('change'));
+      await search('ti');
+      // collections, and the two titles that are not built yet
+      expect(control('count').textContent).toBe('1 of 3');
+      expect(marks()).toEqual(['ti']);
+      scope.value = 'values';
+      scope.dispatchEvent(new scope.ownerDocument.defaultView.Event('change'));
+      setOption('caseSensitive', true);
+      await search('Hello');
+      expect(marks()).toEqual(['Hello']);
+      setOption('regex', true);
+      await search('^"/(hello|other)/"$');
+      expect(marks()).toEqual(['"/hello/"']);
+      control('next').click();
+      expect(marks()).toEqual(['"/hello/"', '"/other/"']);
+      await search('(');
+      expect(control('count').textContent).toBe('Invalid regex');
+      expect(control('input').parentElement.classList.contains('json-viewer-search-invalid')).toBe(true);
+    });
+
+    it('hides branches without a match in filter mode, and keeps the search after a refresh', async () => {
+      const { document, search, setOption } = await renderSearch();
+      const isHidden = (selector) => document.querySelector(selector).classList.contains('json-viewer-filtered-out');
+      await search('other');
+      setOption('filter', true);
+      expect(isHidden('[data-key="all"] > .json-viewer-content > [data-key="0"]')).toBe(true);
+      expect(isHidden('[data-key="site"]')).toBe(true);
+      expect(isHidden('[data-key="all"] > .json-viewer-content > [data-key="1"]')).toBe(false);
+      expect(isHidden('[data-key="all"] > .json-viewer-content > [data-key="1"] [data-key="url"]')).toBe(false);
+      await search('all');
+      expect(isHidden('[data-key="all"] [data-key="title"]')).toBe(false);
+      expect(isHidden('[data-key="site"]')).toBe(true);
+      document.querySelector('input[id$="-sort-checkbox"]').click();
+      expect(document.querySelector('[id$="-search-input"]').value).toBe('all');
+      expect(isHidden('[data-key="site"]')).toBe(true);
+      setOption('filter', false);
+      expect(document.querySelectorAll('.json-viewer-filtered-out').length).toBe(0);
+    });
+
+    it('waits for a pause in typing, unless Enter is pressed', async () => {
+      const { dom, control, type } = await renderSearch({ searchDelay: 50 });
+      type('h');
+      type('hel');
+      expect(control('count').textContent).toBe('');
+      await wait(80);
+      expect(control('count').textContent).toBe('1 of 3');
+      type('other');
+      control('input').dispatchEvent(new dom.window.KeyboardEvent('keydown', { key: 'Enter' }));
+      expect(control('count').textContent).toBe('1 of 2');
+    });
+
+    it('builds only the node of the current match, also in filter mode', async () => {
+      const posts = Array.from({ length: 300 }, (_, i) => ({ title: 'Post ' + i }));
+      const { document, control, search, setOption } = await renderSearch({}, { posts });
+      const titles = () => document.querySelectorAll('[data-key="title"]').length;
+      await search('post');
+      expect(control('count').textContent).toBe('1 of 301');
+      expect(titles()).toBe(0);
+      control('next').click();
+      expect(titles()).toBe(1);
+      control('next').click();
+      expect(titles()).toBe(2);
+
+      setOption('filter', true);
+      await search('Post 150');
+      const bucket = (range) => document.querySelector('[data-bucket="' + range + '"]');
+      expect(bucket('[100…199]').classList.contains('json-viewer-filtered-out')).toBe(false);
+      expect(bucket('[0…99]').classList.contains('json-viewer-filtered-out')).toBe(true);
+      expect(bucket('[200…299]').classList.contains('json-viewer-filtered-out')).toBe(true);
+      expect(titles()).toBe(3);
+    });
+
+    it('matches values against the same text the viewer shows for them', async () => {
+      const circular = { name: 'loop' };
+      circular.self = circular;
+      const source = {
+        string: 'text', long: 'x'.repeat(50), number: 1, nan: NaN, big: 10n, flag: true, nothing: null, missing: undefined,
+        date: new Date(0), invalid: new Date(NaN), symbol: Symbol('s'), regexp: /a+/g, url: new URL('https://example.com/'),
+        bytes: new Uint8Array([1, 2]), fn: function load(url) { return url; }, circular, password: 'hunter2',
+        removed: 'gone', thrower: { get value() { throw new Error('nope'); } }
+      };
+      const { window } = await renderInJsdom(await getViewerHTML({}));
+      for (const typed of [false, true]) {
+        const options = { typed, maxStringLength: 20, redact: true, removeKeys: ['removed'], functionSignatures: true, includeGetters: true };
+        const viewer = new window.JSONViewer(window.document.createElement('div'), options);
+        const values = [];
+        const collect = (value) => {
+          values.push(value);
+          if (value && typeof value === 'object') Object.values(value).forEach(collect);
+        };
+        collect(JSON.parse(await stringifyPlus(source, Object.assign({ format: 'json' }, options))));
+        values.forEach(value => expect(viewer.getValueText(value)).toBe(viewer.createValueElement(value).textContent));
+      }
+    });
+
+    it('collapses and filters with classes, so page styles need no !important to override them', async () => {
+      const html = await getViewerHTML({ a: { b: 1 } });
+      expect(html.match(/<style[^>]*>([\s\S]*?)<\/style>/)[1]).not.toContain('!important');
+      const document = (await renderInJsdom(html)).window.document;
+      const node = document.querySelector('[data-key="a"]');
+      expect(node.classList.contains('json-viewer-collapsed')).toBe(true);
+      node.querySelector(':scope > .json-viewer-toggle').click();
+      expect(node.classList.contains('json-viewer-collapsed')).toBe(false);
+      expect([...document.querySelectorAll('.json-viewer-content, .json-viewer-expanded-info, .json-viewer-collapsed-preview')]
+        .filter(element => element.style.display)).toEqual([]);
+    });
+  });
+
+  describe('large data', () => {
+    const items = (count) => Array.from({ length: count }, (_, i) => ({ id: i }));
+
+    async function renderLarge(data, options = {}) {
+      const dom = await renderInJsdom(await getViewerHTML(data, options));
+      const document = dom.window.document;
+      const node = (path) => [...document.querySelectorAll('.json-viewer-node:not(.json-viewer-bucket)')].find(element => element.getAttribute('data-path') === path);
+      const buckets = (parent) => [...parent.querySelectorAll(':scope > .json-viewer-content > .json-viewer-bucket')].map(bucket => bucket.getAttribute('data-bucket'));
+      const expand = (element) => element.querySelector(':scope > .json-viewer-toggle').click();
+      return { dom, document, node, buckets, expand };
+    }
+
+    it('builds children only when a node is first expanded', async () => {
+      const { node, expand } = await renderLarge({ a: { b: { c: 1 } } });
+      expect(node('root.a')).toBeTruthy();
+      expect(node('root.a.b')).toBe(undefined);
+      expand(node('root.a'));
+      expect(node('root.a.b')).toBeTruthy();
+      expect(node('root.a.b.c')).toBe(undefined);
+    });
+
+    it('splits long arrays into buckets, nested for very long ones', async () => {
+      const { node, buckets, expand } = await renderLarge({ list: items(250), huge: items(12000) });
+      expand(node('root.list'));
+      expect(buckets(node('root.list'))).toEqual(['[0…99]', '[100…199]', '[200…249]']);
+      expect(node('root.list[0]')).toBe(undefined);
+      const third = node('root.list').querySelector('[data-bucket="[200…249]"]');
+      expect(third.getAttribute('aria-label')).toBe('items 200 to 249');
+      expand(third);
+      expect(node('root.list[200]').getAttribute('data-key')).toBe('200');
+      expect(third.querySelectorAll(':scope > .json-viewer-content > .json-viewer-node')).toHaveLength(50);
+
+      expand(node('root.huge'));
+      expect(buckets(node('root.huge'))).toEqual(['[0…9999]', '[10000…11999]']);
+      const second = node('root.huge').querySelector('[data-bucket="[10000…11999]"]');
+      expand(second);
+      expect(buckets(second).slice(0, 2)).toEqual(['[10000…10099]', '[10100…10199]']);
+    });
+
+    it('builds long lists a window at a time', async () => {
+      const { dom, document, node, expand } = await renderLarge({ list: items(120) }, { bucketSize: 0, windowSize: 50 });
+      expand(node('root.list'));
+      const shown = () => node('root.list').querySelectorAll(':scope > .json-viewer-content > .json-viewer-node:not(.json-viewer-more)').length;
+      const more = () => node('root.list').querySelector('.json-viewer-more');
+      expect(shown()).toBe(50);
+      expect(more().getAttribute('aria-label')).toBe('Show 50 more (70 not shown)');
+      more().click();
+      expect(shown()).toBe(100);
+      more().focus();
+      more().dispatchEvent(new dom.window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+      expect(shown()).toBe(120);
+      expect(more()).toBe(null);
+      expect(document.activeElement.getAttribute('data-path')).toBe('root.list[100]');
+    });
+
+    it('expands everything, follows refs and remembers buckets through unbuilt nodes', async () => {
+      const list = items(150);
+      const { dom, node, buckets } = await renderLarge({ list, last: list[120] }, { dedupe: true, showControls: true });
+      node('root.last').querySelector('.json-viewer-ref').click();
+      expect(node('root.list[120]').querySelector('.json-viewer-header').classList.contains('json-viewer-highlight')).toBe(true);
+      expect(node('root.list').querySelector('[data-bucket="[100…149]"]').getAttribute('aria-expanded')).toBe('true');
+      expect(node('root.list').querySelector('[data-bucket="[0…99]"]').getAttribute('aria-expanded')).toBe('false');
+
+      // The list is open, so the first Alt-click collapses the subtree and the second expands all of it, building it as it goes
+      const altClick = () => node('root.list').querySelector(':scope > .json-viewer-toggle').dispatchEvent(new dom.window.MouseEvent('click', { altKey: true, bubbles: true }));
+      altClick();
+      expect(node('root.list').getAttribute('aria-expanded')).toBe('false');
+      altClick();
+      expect(buckets(node('root.list'))).toEqual(['[0…99]', '[100…149]']);
+      expect(isShown(node('root.list[5].id').closest('.json-viewer-content'))).toBe(true);
+      expect(node('root.list').querySelector('[data-bucket="[0…99]"]').getAttribute('aria-expanded')).toBe('true');
+    });
+  });
+
   // --- Edge cases ---
   it('renders empty object and array (data-json attribute)', async () => {
     const htmlObj = await getViewerHTML({});
@@ -169,6 +785,141 @@ describe('json-viewer', () => {
     expect(container.textContent).toContain('ok');
   });
 
+  describe('shared runtime', () => {
+    // Records what the plugin registers, in place of Eleventy's config API
+    function createEleventyConfig() {
+      const config = { filters: {}, transforms: {}, events: {}, pathPrefix: '/' };
+      config.addFilter = (name, filter) => { config.filters[name] = filter; };
+      // Like Eleventy's url filter for site-relative URLs
+      config.getFilter = (name) => name === 'url' ? (url) => config.pathPrefix.replace(/\/$/, '') + url : undefined;
+      config.addTransform = (name, transform) => { config.transforms[name] = transform; };
+      config.on = (event, handler) => { config.events[event] = handler; };
+      return config;
+    }
+    const runtimeTags = (html) => [...html.matchAll(/<(style|script|link)\b[^>]*data-json-viewer-runtime/g)].map(match => '<' + match[1]);
+
+    it('sends the CSS and script once for a page of inline viewers', async () => {
+      const config = createEleventyConfig();
+      jsonViewerPlugin(config, { runtime: 'inline' });
+      const viewers = await Promise.all([{ a: 1 }, [1, 2], 'text'].map(value => config.filters.jsonViewer(value)));
+      expect(viewers.every(viewer => runtimeTags(viewer).length === 2)).toBe(true);
+      const page = config.transforms['json-viewer-runtime'].call({ page: { outputPath: 'dist/index.html' } }, '<body>' + viewers.join('<hr>') + '</body>');
+      expect(runtimeTags(page)).toEqual(['<style', '<script']);
+      const dom = await renderInJsdom(page);
+      const containers = [...dom.window.document.querySelectorAll('.json-viewer-container')];
+      expect(containers).toHaveLength(3);
+      expect(containers.every(container => container.querySelector('.json-viewer-tree'))).toBe(true);
+    });
+
+    it('links to files written to the output folder by default', async () => {
+      const config = createEleventyConfig();
+      jsonViewerPlugin(config, { runtimePath: '/static/viewer/' });
+      const output = fs.mkdtempSync(path.join(os.tmpdir(), 'json-viewer-'));
+      try {
+        await config.events['eleventy.after']({ directories: { output }, outputMode: 'fs' });
+        expect(fs.readFileSync(path.join(output, 'static/viewer/json-viewer.css'), 'utf8')).toContain('.json-viewer-container');
+        expect(fs.readFileSync(path.join(output, 'static/viewer/json-viewer.js'), 'utf8')).toContain('class JSONViewer');
+      } finally {
+        fs.rmSync(output, { recursive: true, force: true });
+      }
+      const inline = createEleventyConfig();
+      jsonViewerPlugin(inline, { runtime: 'inline' });
+      expect(inline.events).toEqual({});
+      const html = await config.filters.jsonViewer({ a: 1 }, { showTypes: true });
+      expect(runtimeTags(html)).toEqual(['<link', '<script']);
+      expect(html).toContain('href="/static/viewer/json-viewer.css"');
+      expect(html).toContain('src="/static/viewer/json-viewer.js"');
+      expect(html).not.toContain('class JSONViewer');
+      expect(JSON.parse(html.match(/data-options='([^']+)'/)[1].replace(/&quot;/g, '"')).showTypes).toBe(true);
+    });
+
+    it('links to the runtime under the site pathPrefix', async () => {
+      const config = createEleventyConfig();
+      config.pathPrefix = '/docs/';
+      jsonViewerPlugin(config, { runtimePath: '/static/viewer/' });
+      const html = await config.filters.jsonViewer({ a: 1 });
+      expect(html).toContain('href="/docs/static/viewer/json-viewer.css"');
+      expect(html).toContain('src="/docs/static/viewer/json-viewer.js"');
+      const output = fs.mkdtempSync(path.join(os.tmpdir(), 'json-viewer-'));
+      try {
+        // The prefix is where the site is served from, not a folder in the output
+        await config.events['eleventy.after']({ directories: { output }, outputMode: 'fs' });
+        expect(fs.existsSync(path.join(output, 'static/viewer/json-viewer.css'))).toBe(true);
+      } finally {
+        fs.rmSync(output, { recursive: true, force: true });
+      }
+    });
+
+    it('starts every viewer once when each brings its own runtime', async () => {
+      const html = (await getViewerHTML({ a: 1 })) + (await getViewerHTML({ b: 2 }, { runtime: 'none' })) + (await getViewerHTML({ c: 3 }));
+      const dom = await renderInJsdom(html);
+      const document = dom.window.document;
+      expect(document.querySelectorAll('.json-viewer-container[data-json-viewer-ready]')).toHaveLength(3);
+      expect(document.querySelectorAll('.json-viewer-tree')).toHaveLength(3);
+      expect(runtimeTags(await getViewerHTML({ b: 2 }, { runtime: 'none' }))).toEqual([]);
+      await expect(getViewerHTML({}, { runtime: 'cdn' })).rejects.toThrow('Unknown runtime "cdn"; expected one of inline, external, none');
+    });
+  });
+
+  describe('themes', () => {
+    const styleOf = (html) => html.match(/<style[^>]*>([\s\S]*?)<\/style>/)[1].replace(/\/\*[\s\S]*?\*\//g, '');
+    // The selector and custom properties of each rule that declares some
+    const declaredProperties = (css) => [...css.matchAll(/([^{}]*?)\s*\{([^{}]*--json-viewer-[\w-]+:[^{}]*)\}/g)]
+      .map(([, selector, body]) => [selector.trim(), [...body.matchAll(/(--json-viewer-[\w-]+):/g)].map(match => match[1])]);
+
+    it('takes every colour, font and spacing value from --json-viewer-* properties', async () => {
+      const css = styleOf(await getViewerHTML({ a: 1 }));
+      const declared = declaredProperties(css);
+      expect(declared.map(([selector]) => selector)).toEqual([
+        ':where(.json-viewer-container)',
+        ':where(.json-viewer-container[data-theme="dark"])',
+        ':where(.json-viewer-container[data-theme="high-contrast"])',
+        ':where(.json-viewer-container[data-theme="auto"])',
+        ':where(.json-viewer-container[data-theme="auto"])'
+      ]);
+      // Outside the theme blocks there are no literal colours, and every property used is declared
+      const rules = css.replace(/:where\([^)]*\)\)?\s*\{[^{}]*\}/g, '');
+      expect(rules).not.toMatch(/#[0-9a-f]{3,6}\b|rgba?\(|font-family: monospace/i);
+      // ...and no literal lengths, apart from the 1px box of the visually hidden status region
+      const declarations = [...rules.replace(/\.json-viewer-status \{[^{}]*\}/, '').matchAll(/^\s*([\w-]+):\s*([^;]+);/gm)];
+      expect(declarations.length).toBeGreaterThan(100);
+      expect(declarations.filter(([, , value]) => /\d(px|em)\b/.test(value)).map(([declaration]) => declaration.trim())).toEqual([]);
+      // ...nor in the script, where an inline style or an SVG fill would override the properties
+      const html = await getViewerHTML({ a: 1 });
+      expect(html).not.toMatch(/\.style\.(gap|padding\w*|margin\w*|fontSize|flexDirection|width|height)\b|fill="#/);
+      const used = new Set([...rules.matchAll(/var\((--json-viewer-[\w-]+)\)/g)].map(match => match[1]));
+      const [[, defaults], ...themes] = declared;
+      expect([...used].filter(name => !defaults.includes(name))).toEqual([]);
+      // Each theme sets every colour
+      const colours = defaults.filter(name => !['font', 'line-height', 'padding', 'margin', 'radius', 'gap', 'space', 'spacing', 'indent', 'width', 'size', 'offset', 'height'].some(part => name.includes(part)));
+      themes.forEach(([, properties]) => expect(properties).toEqual(colours));
+    });
+
+    it('indents each level by --json-viewer-indent, which indentWidth sets for one viewer', async () => {
+      const render = async (options) => (await renderInJsdom(await getViewerHTML({ a: { b: 1 } }, Object.assign({ defaultExpanded: true }, options)))).window.document;
+      let document = await render({});
+      expect(document.querySelector('.json-viewer-container').style.getPropertyValue('--json-viewer-indent')).toBe('');
+      expect(document.querySelector('[data-key="a"]').style.getPropertyValue('--json-viewer-depth')).toBe('1');
+      expect(document.querySelector('[data-key="b"]').style.getPropertyValue('--json-viewer-depth')).toBe('2');
+      expect(styleOf(await getViewerHTML({ a: 1 }))).toMatch(/\.json-viewer-node \{[^}]*margin-left: calc\(var\(--json-viewer-indent\) \* var\(--json-viewer-depth, 0\)\)/);
+      document = await render({ indentWidth: 10 });
+      expect(document.querySelector('.json-viewer-container').style.getPropertyValue('--json-viewer-indent')).toBe('10px');
+    });
+
+    it('selects a theme with the theme option', async () => {
+      const themeOf = async (theme) => (await getViewerHTML({ a: 1 }, { theme })).match(/class="json-viewer-container" data-theme="([^"]+)"/)[1];
+      expect(await themeOf(undefined)).toBe('light');
+      expect(await themeOf('dark')).toBe('dark');
+      expect(await themeOf('high-contrast')).toBe('high-contrast');
+      expect(await themeOf('auto')).toBe('auto');
+      const css = styleOf(await getViewerHTML({ a: 1 }, { theme: 'auto' }));
+      expect(css).toMatch(/@media \(prefers-color-scheme: dark\) \{\s*:where\(\.json-viewer-container\[data-theme="auto"\]\) \{\s*--json-viewer-color-scheme: dark;/);
+      await expect(getViewerHTML({ a: 1 }, { theme: 'sepia' })).rejects.toThrow('Unknown theme "sepia"; expected one of light, dark, high-contrast, auto');
+      const dom = await renderInJsdom(await getViewerHTML({ a: 1 }, { theme: 'dark' }));
+      expect(dom.window.document.querySelector('.json-viewer-container').getAttribute('data-theme')).toBe('dark');
+    });
+  });
+
   // --- API usage ---
   it('exports jsonViewer as default and named export', () => {
     // Import the module directly for API tests
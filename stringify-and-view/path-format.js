@@ -0,0 +1,122 @@
+/**
+ * The path model shared by stringifyPlus, parsePlus and JSONViewer, for the paths in circular and `dedupe` ref
+ * markers and the paths JSONViewer copies from its hover panel.
+ *
+ * A path is a list of segments: strings are object keys, numbers are array (and Map or Set entry) indexes, and
+ * `{ internal }` segments are places that have no key of their own, such as the entries of a Map or Set or a
+ * symbol-keyed property. Keeping keys and indexes apart means keys such as "my-key", "a.b" or "0" are written
+ * in a form that can be pasted back into code.
+ *
+ * The functions here only use each other, so JSONViewer embeds their source in its browser script.
+ *
+ * @module path-format
+ */
+
+/**
+ * The supported path notations:
+ * - 'js': a JavaScript accessor, e.g. `root.posts[0]["my-key"]`
+ * - 'pointer': a JSON Pointer (RFC 6901), e.g. `/posts/0/my-key`
+ * - 'jsonpath': a JSONPath expression, e.g. `$.posts[0]['my-key']`
+ * - 'template': a Nunjucks or Liquid expression, e.g. `posts[0]["my-key"]`. Templates can only name top-level
+ *   variables that are identifiers, so a root key such as "my-key" (or a root index) has no template form; it is
+ *   written in brackets, `["my-key"]`, and only works after a variable that holds the root value
+ * @type {string[]}
+ */
+export const PATH_FORMATS = ['js', 'pointer', 'jsonpath', 'template'];
+
+/**
+ * The segment for the entries of a Map or Set, written `[[Entries]]` as in browser DevTools. It is followed by
+ * the entry's index and, for Maps, by 0 for the entry's key or 1 for its value.
+ * @type {{internal: string}}
+ */
+export const ENTRIES_SEGMENT = Object.freeze({ internal: '[Entries]' });
+
+/**
+ * Gets the segment for a symbol-keyed property, written like `[Symbol(description)]`.
+ * @param {symbol} symbol - The property key
+ * @returns {{internal: string}}
+ */
+export function symbolSegment(symbol) {
+    return { internal: String(symbol) };
+}
+
+/**
+ * Gets the path of the root value.
+ * @param {string} [format='js'] - One of PATH_FORMATS
+ * @returns {string} 'root' for 'js', '$' for 'jsonpath', or '' for 'pointer' and 'template'
+ */
+export function rootPath(format = 'js') {
+    return format === 'js' ? 'root' : format === 'jsonpath' ? '$' : '';
+}
+
+/**
+ * Adds a segment to a path.
+ * Keys that are identifiers use dot notation; other keys are quoted in brackets (or escaped, for JSON Pointer).
+ * In 'template' paths an identifier root key is written bare; any other root key stays in brackets (see PATH_FORMATS).
+ * @param {string} path - The path so far
+ * @param {string|number|{internal: string}} segment - The key, index or internal segment to add
+ * @param {string} [format='js'] - One of PATH_FORMATS
+ * @returns {string} The longer path
+ */
+export function appendPath(path, segment, format = 'js') {
+    if (format === 'pointer') {
+        const token = typeof segment === 'object' ? `[${segment.internal}]` : String(segment);
+        return `${path}/${token.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+    }
+    if (typeof segment === 'number') return `${path}[${segment}]`;
+    if (typeof segment === 'object') return `${path}[${segment.internal}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(segment)) return format === 'template' && path === '' ? segment : `${path}.${segment}`;
+    if (format === 'jsonpath') return `${path}['${segment.replace(/[\\']/g, '\\$&')}']`;
+    return `${path}[${JSON.stringify(segment)}]`;
+}
+
+/**
+ * Builds a path from its segments.
+ * @param {Array<string|number|{internal: string}>} segments - The segments, from the root down
+ * @param {string} [format='js'] - One of PATH_FORMATS
+ * @returns {string} The path
+ */
+export function formatPath(segments, format = 'js') {
+    return segments.reduce((path, segment) => appendPath(path, segment, format), rootPath(format));
+}
+
+/**
+ * Splits a path written by appendPath back into its segments.
+ * JSON Pointer does not tell keys and indexes apart, so its numeric tokens are read as indexes.
+ * @param {string} path - The path
+ * @param {string} [format='js'] - One of PATH_FORMATS
+ * @returns {Array<string|number|{internal: string}>|null} The segments, or null if the path is not in the format
+ */
+export function parsePath(path, format = 'js') {
+    if (format === 'pointer') {
+        if (path === '') return [];
+        if (!path.startsWith('/')) return null;
+        return path.slice(1).split('/').map(token => {
+            const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+            if (/^(?:0|[1-9]\d*)$/.test(key)) return Number(key);
+            const internal = key.match(/^\[(\[Entries\]|Symbol\(.*\))\]$/s);
+            return internal ? { internal: internal[1] } : key;
+        });
+    }
+    const root = rootPath(format);
+    if (!path.startsWith(root)) return null;
+    const segments = [];
+    const step = /\.([A-Za-z_$][\w$]*)|\[(\d+)\]|\[("(?:[^"\\]|\\["\\/bfnrt]|\\u[\da-fA-F]{4})*")\]|\['((?:[^'\\]|\\.)*)'\]|\[(\[Entries\]|Symbol\(.*?\))\]/sy;
+    step.lastIndex = root.length;
+    // Template expressions start with a bare name
+    const first = format === 'template' ? path.match(/^[A-Za-z_$][\w$]*/) : null;
+    if (first) {
+        segments.push(first[0]);
+        step.lastIndex = first[0].length;
+    }
+    while (step.lastIndex < path.length) {
+        const match = step.exec(path);
+        if (!match) return null;
+        if (match[1] !== undefined) segments.push(match[1]);
+        else if (match[2] !== undefined) segments.push(Number(match[2]));
+        else if (match[3] !== undefined) segments.push(JSON.parse(match[3]));
+        else if (match[4] !== undefined) segments.push(match[4].replace(/\\(.)/gs, '$1'));
+        else segments.push({ internal: match[5] });
+    }
+    return segments;
+}
@@ -0,0 +1,52 @@
+/*
+ * Test suite for path-format.js
+ *
+ * Covers:
+ *   - Writing paths in each notation, with quoting and escaping
+ *   - Parsing paths back into segments
+ */
+import { describe, it, expect } from 'vitest';
+import { PATH_FORMATS, ENTRIES_SEGMENT, appendPath, formatPath, parsePath, rootPath, symbolSegment } from './path-format.js';
+
+const segments = ['posts', 0, 'my-key', '0', 'a.b', "it's", 'x~/y', ENTRIES_SEGMENT, 2, 1, symbolSegment(Symbol('tag'))];
+
+describe('path-format', () => {
+  it('writes each notation', () => {
+    expect(formatPath(segments, 'js')).toBe('root.posts[0]["my-key"]["0"]["a.b"]["it\'s"]["x~/y"][[Entries]][2][1][Symbol(tag)]');
+    expect(formatPath(segments, 'pointer')).toBe('/posts/0/my-key/0/a.b/it\'s/x~0~1y/[[Entries]]/2/1/[Symbol(tag)]');
+    expect(formatPath(segments, 'jsonpath')).toBe("$.posts[0]['my-key']['0']['a.b']['it\\'s']['x~/y'][[Entries]][2][1][Symbol(tag)]");
+    expect(formatPath(segments, 'template')).toBe('posts[0]["my-key"]["0"]["a.b"]["it\'s"]["x~/y"][[Entries]][2][1][Symbol(tag)]');
+  });
+
+  it('writes the root path', () => {
+    expect(PATH_FORMATS.map(format => rootPath(format))).toEqual(['root', '', '$', '']);
+    expect(appendPath('', 'title', 'template')).toBe('title');
+    expect(appendPath('', 0, 'template')).toBe('[0]');
+  });
+
+  it('writes a template path with a non-identifier root key in brackets, to follow a variable holding the root', () => {
+    expect(formatPath(['my-key', 'title'], 'template')).toBe('["my-key"].title');
+    expect(parsePath('["my-key"].title', 'template')).toEqual(['my-key', 'title']);
+    expect('data' + formatPath(['my-key', 'title'], 'template')).toBe('data["my-key"].title');
+  });
+
+  it('parses paths back into their segments', () => {
+    for (const format of ['js', 'jsonpath', 'template']) {
+      expect(parsePath(formatPath(segments, format), format)).toEqual(segments);
+    }
+    expect(parsePath(formatPath([], 'js'))).toEqual([]);
+    expect(parsePath('root["line\\nbreak \\"quoted\\""]')).toEqual(['line\nbreak "quoted"']);
+  });
+
+  it('reads numeric JSON Pointer tokens as indexes', () => {
+    const parsed = parsePath(formatPath(segments, 'pointer'), 'pointer');
+    expect(parsed).toEqual(segments.map(segment => segment === '0' ? 0 : segment));
+    expect(parsePath('', 'pointer')).toEqual([]);
+  });
+
+  it('returns null for paths in another notation', () => {
+    expect(parsePath('$.a', 'js')).toBe(null);
+    expect(parsePath('root.my-key', 'js')).toBe(null);
+    expect(parsePath('a/b', 'pointer')).toBe(null);
+  });
+});
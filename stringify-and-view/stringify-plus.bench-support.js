@@ -0,0 +1,51 @@
+/**
+ * Inputs for stringify-plus.bench.js, shared with stringify-plus.test.js so it can check that the current module and
+ * the one it replaced (fixtures/before-ancestor-stack) give the same output for them.
+ *
+ * @module stringify-plus.bench-support
+ */
+
+/**
+ * Builds a chain of objects nested `depth` levels deep, alternating objects and arrays.
+ * @param {number} depth - How deep the chain goes
+ * @returns {Object}
+ */
+export function createDeep(depth) {
+    const root = { level: 0 };
+    let current = root;
+    for (let i = 1; i < depth; i++) {
+        const next = { level: i, tags: ['a', 'b'] };
+        current.child = i % 2 ? [next] : next;
+        current = next;
+    }
+    return root;
+}
+
+/**
+ * Builds a list of page-like entries, similar to collections.all on a site with `count` pages.
+ * @param {number} count - How many entries
+ * @returns {Object[]}
+ */
+export function createWide(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        inputPath: `./src/posts/post-${i}.md`,
+        url: `/posts/post-${i}/`,
+        date: new Date(Date.UTC(2024, 0, 1 + (i % 365))),
+        data: { title: `Post ${i}`, tags: ['post', `tag-${i % 10}`], draft: i % 7 === 0, layout: 'post.njk' }
+    }));
+}
+
+/**
+ * Builds page-like entries that point back at themselves and at the collections they belong to.
+ * @param {number} count - How many entries
+ * @returns {{all: Object[], post: Object[]}}
+ */
+export function createCyclic(count) {
+    const all = createWide(count);
+    const collections = { all, post: all.slice() };
+    all.forEach(entry => {
+        entry.data.collections = collections;
+        entry.data.page = entry;
+    });
+    return collections;
+}
@@ -0,0 +1,55 @@
+/*
+ * Benchmarks for the stringifyPlus traversal
+ *
+ * Covers:
+ *   - Deep inputs (long chains of nested objects and arrays)
+ *   - Wide inputs (a collections.all-sized list of page-like entries)
+ *   - Cyclic inputs (entries that reference each other and the collection)
+ *
+ * Each is timed against stringifyPlus as it was before the shared ancestor stack and chunked output, kept unchanged
+ * in fixtures/before-ancestor-stack; stringify-plus.test.js checks that both give the same output for these inputs.
+ *
+ * Run with: npm run bench
+ */
+import { bench, describe } from 'vitest';
+import { stringifyPlus, stringifyPlusStream } from './stringify-plus.js';
+import { stringifyPlus as stringifyPlusBefore } from './fixtures/before-ancestor-stack/stringify-plus.js';
+import { createDeep, createWide, createCyclic } from './stringify-plus.bench-support.js';
+
+const deep = createDeep(500);
+const wide = createWide(2000);
+const cyclic = createCyclic(200);
+
+describe('deep', () => {
+  bench('stringifyPlus', async () => {
+    await stringifyPlus(deep);
+  });
+  bench('stringifyPlus before the ancestor stack', async () => {
+    await stringifyPlusBefore(deep);
+  });
+});
+
+describe('wide', () => {
+  bench('stringifyPlus', async () => {
+    await stringifyPlus(wide);
+  });
+  bench('stringifyPlus before the ancestor stack', async () => {
+    await stringifyPlusBefore(wide);
+  });
+  bench('stringifyPlusStream', async () => {
+    // Drain the stream without keeping the chunks
+    for await (const chunk of stringifyPlusStream(wide)) void chunk;
+  });
+  bench('JSON.stringify (baseline)', () => {
+    JSON.stringify(wide);
+  });
+});
+
+describe('cyclic', () => {
+  bench('stringifyPlus', async () => {
+    await stringifyPlus(cyclic);
+  });
+  bench('stringifyPlus before the ancestor stack', async () => {
+    await stringifyPlusBefore(cyclic);
+  });
+});
@@ -1,28 +1,262 @@
+import { eleventyAdapters } from './eleventy-adapters.js';
+import { PATH_FORMATS, ENTRIES_SEGMENT, appendPath, formatPath, parsePath, rootPath, symbolSegment } from './path-format.js';
+
 /**
  * Enhanced JSON stringifier with support for special values, circular references, and custom options.
  * Uses a defaults pattern for options: defaults are defined and merged with incoming options, with options taking precedence.
- * Handles functions, symbols, BigInts, Dates, and Eleventy-specific quirks.
+ * Handles functions, symbols, BigInts, Dates, Maps, Sets, and Eleventy-specific quirks.
+ * Functions are output as `"[function name]"`, or with their parameters and source when `functionSignatures`
+ * or `functionSource` are set.
+ * `NaN`, `Infinity`, `-Infinity` and `-0` are kept as `"[NaN]"`-style markers rather than becoming `null` or `0`.
+ * Eleventy internals are summarised by read-only adapters (see eleventy-adapters.js); the input is never modified.
+ * Class instances keep their constructor name as a leading `"[[Class]]"` key (or `className` in typed output),
+ * and are formatted by a matching `serializers` entry or their own `toJSON` method when present.
+ * Maps are output as `{"[Map]":[[key,value],...]}` and Sets as `{"[Set]":[member,...]}` so JSONViewer can label them.
+ * RegExps, URLs, binary data (typed arrays, ArrayBuffers, Buffers) and opaque built-ins (Promise, WeakMap, WeakSet,
+ * WeakRef) are output as compact markers such as `"[RegExp /foo/g]"` or `"[Uint8Array 5 bytes: 68 65 6c 6c 6f]"`.
+ * Errors are output as `{"[Error]":{"name":...,"message":...,"stack":[frames],...}}` with their custom fields,
+ * `cause` chain and `AggregateError` errors.
+ *
+ * With `{ dedupe: true }`, an object reached again from somewhere else (not through itself) is output as a
+ * `"[Ref: root.path]"` marker pointing at the path where it was first written, instead of in full.
+ * Paths in markers are JavaScript accessors such as `root.posts[0]["my-key"]` by default; `pathFormat` can ask for
+ * JSON Pointer, JSONPath or template expressions instead (see path-format.js).
+ *
+ * By default special values are encoded as marker strings such as `"[ undefined ]"` or `"[Circular Ref: root.a]"`.
+ * With `{ typed: true }` they are instead encoded as envelopes like `{"$type":"undefined"}`, which can never be
+ * confused with user data (see TYPE_KEY).
+ *
+ * Only own enumerable string keys are output by default. `includeNonEnumerable`, `includeSymbols` and `includeGetters`
+ * add the other properties found on objects; these are listed by kind under a `"[[KeyKinds]]"` key (or `keyKinds`
+ * in typed output) so JSONViewer can style them, and getters that throw are output as a `"[threw Error: …]"` marker.
+ *
+ * The output is compact single-line JSON unless `format` asks for indented JSON, YAML or a JS literal, which are
+ * handy for pasting into fixtures or front matter.
+ *
+ * Large inputs can be cut down with the `max*` limits. Anything cut off is replaced by a marker saying how much
+ * was omitted, e.g. `"[… 940 more items]"` or `"[truncated at depth 6]"`.
  *
  * @module stringify-plus
  * @param {any} data - The data to stringify
  * @param {Object} [options] - Optional configuration options
  * @param {number} [options.maxCircularDepth=1] - Maximum depth for circular references
- * @param {Array} [options.removeKeys=[]] - Array of keys to remove/replace (strings or {keyName, replaceString} objects)
+ * @param {Array} [options.removeKeys=[]] - Array of keys to remove/replace. Entries may be key names, path globs
+ *   (`'collections.*.data.password'`, `'**.templateContent'`), RegExps tested against key names (`/token$/i`),
+ *   or objects with a `keyName`, `path` or `pattern` and their own `replaceString` (or the `{ key: replaceString }` shorthand)
  * @param {boolean} [options.showTemplate=false] - If true, shows 'template' keys; if false, replaces them with performance message
- * @returns {Promise<string>} The compact stringified data
+ * @param {boolean} [options.dedupe=false] - If true, shared (non-circular) references after the first are output as a "[Ref: path]" marker
+ * @param {boolean} [options.typed=false] - If true, encodes special values as lossless `$type` envelopes instead of marker strings
+ * @param {boolean|Object} [options.redact=false] - Replaces likely secrets with a "[redacted]" marker. `true` uses REDACT_PRESET;
+ *   an object adds custom `keys` (key names, path globs or RegExps) and `values` (RegExps or predicates for strings),
+ *   with `preset: false` to drop the built-in patterns
+ * @param {Array} [options.serializers=[]] - Formatters for class instances: `{ type: Class, serialize }` or `{ test: predicate, serialize }`,
+ *   where `serialize(value)` returns the value to output in its place
+ * @param {Array} [options.adapters=eleventyAdapters] - Adapters ({ name, test, summarize }) that replace matching objects with a snapshot
+ * @param {boolean} [options.includeNonEnumerable=false] - If true, also outputs own non-enumerable properties
+ * @param {boolean} [options.includeSymbols=false] - If true, also outputs symbol-keyed properties, under keys like "[Symbol description]"
+ * @param {boolean} [options.includeGetters=false] - If true, also outputs getters inherited from the prototype chain (such as
+ *   Eleventy's `templateContent`). Getters are then invoked safely: any that throw are output as an error marker
+ * @param {boolean} [options.functionSignatures=false] - If true, functions are output with their signature, e.g.
+ *   "[async function load(url)]", "[function* items()]", "[class Post(title)]" or "[bound function greet(…)]"
+ * @param {number} [options.functionSource=0] - Also output up to this many characters of each function's source (implies
+ *   `functionSignatures`). Functions are then output as `{"[Function]":{"signature":…,"source":…}}`, or with a `source` field when typed
+ * @param {boolean|function(string, string): number} [options.sortKeys=false] - If true, object keys are output in alphabetical
+ *   (code unit) order; a function is used as the comparator for key names. Leading keys such as "[[Class]]" stay first,
+ *   and Map and Set entries keep their order
+ * @param {number} [options.maxDepth=Infinity] - Containers nested deeper than this are replaced by a "[truncated at depth N]" marker
+ * @param {number} [options.maxArrayItems=Infinity] - Arrays, Sets and Maps keep only this many items, followed by a "[… N more items]" marker
+ * @param {number} [options.maxStringLength=Infinity] - Strings are cut to this many characters, followed by a "[… N more characters]" marker
+ * @param {number} [options.maxOutputBytes=Infinity] - Approximate output budget; once exceeded, remaining items and keys are omitted with a marker
+ * @param {boolean} [options.resolvePromises=false] - If true, Promises found in the data are awaited and output as their
+ *   resolved value. Rejections are output as a "[Promise rejected: Error: …]" marker and Promises still pending after
+ *   `promiseTimeout` as "[Promise pending after 1000ms]"
+ * @param {number} [options.promiseTimeout=1000] - How long to wait for each Promise, in milliseconds
+ * @param {string} [options.format='json'] - Output syntax: 'json' (compact), 'json-pretty', 'yaml' or 'js' (an object literal
+ *   with unquoted identifier keys and single-quoted strings). All formats output the same sanitized structure
+ * @param {number} [options.indent=2] - Spaces per nesting level for the 'json-pretty', 'yaml' and 'js' formats, as a
+ *   non-negative integer
+ * @param {string} [options.pathFormat='js'] - Notation for the paths in circular and ref markers: 'js' (`root.a["my-key"][0]`),
+ *   'pointer' (`/a/my-key/0`), 'jsonpath' (`$.a['my-key'][0]`) or 'template' (`a["my-key"][0]`, for Nunjucks and Liquid)
+ * @returns {Promise<string>} The stringified data
  */
 export async function stringifyPlus(data, options = {}) {
+    const { format = 'json', indent = 2 } = options;
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw new TypeError(`Unknown format "${format}"; expected one of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (!Number.isInteger(indent) || indent < 0) {
+        throw new TypeError(`Invalid indent ${JSON.stringify(indent)}; expected a non-negative integer`);
+    }
+    const promises = options.resolvePromises ? await settlePromises(data, options) : null;
+    return formatOutput([...stringifyChunks(data, options, promises)].join(''), format, indent);
+}
+
+/**
+ * Streaming variant of stringifyPlus for very large data, such as the whole data cascade.
+ * Yields the same JSON as stringifyPlus in chunks of roughly `chunkSize` characters, so the output can be
+ * written straight to a file or HTTP response without building one giant string. Wrap it in
+ * `Readable.from()` (from `node:stream`) where a Node stream is needed.
+ * The data is read as chunks are pulled, so it should not be modified until the stream has finished.
+ * With `resolvePromises`, the Promises are all settled before the first chunk.
+ * Only compact JSON is streamed; the other `format`s need the whole output and are only available from stringifyPlus.
+ *
+ * @param {any} data - The data to stringify
+ * @param {Object} [options] - The same options as stringifyPlus (except `format`), plus:
+ * @param {number} [options.chunkSize=16384] - Approximate size of each chunk in characters
+ * @returns {AsyncGenerator<string>} The JSON, chunk by chunk
+ */
+export async function* stringifyPlusStream(data, options = {}) {
+    if (options.format !== undefined && options.format !== 'json') {
+        throw new TypeError('stringifyPlusStream only outputs compact JSON; use stringifyPlus for other formats');
+    }
+    const promises = options.resolvePromises ? await settlePromises(data, options) : null;
+    yield* stringifyChunks(data, Object.assign({ chunkSize: 16 * 1024 }, options), promises);
+}
+
+// Resolved values can hold more Promises, so settling takes a walk per level of nesting. Getters that make
+// a new Promise each time they are read would never finish, so give up after this many walks.
+const MAX_PROMISE_WALKS = 10;
+
+/**
+ * Awaits the Promises that stringifyPlus reaches in the data, each with its own timeout.
+ * The data is walked with the same options as the output (so removed keys, adapters and limits apply), and walked
+ * again while the resolved values hold Promises of their own.
+ * @param {any} data - The data to stringify
+ * @param {Object} options - See stringifyPlus
+ * @returns {Promise<{settled: Map<Promise, Object>, found: Set<Promise>}>} The outcome of each Promise, for stringifyChunks
+ */
+async function settlePromises(data, options) {
+    const settled = new Map();
+    const timeout = options.promiseTimeout ?? PROMISE_TIMEOUT;
+    for (let walk = 0; walk < MAX_PROMISE_WALKS; walk++) {
+        const found = new Set();
+        for (const chunk of stringifyChunks(data, options, { settled, found })) void chunk;
+        if (found.size === 0) break;
+        await Promise.all([...found].map(async promise => settled.set(promise, await settlePromise(promise, timeout))));
+    }
+    return { settled, found: new Set() };
+}
+
+/**
+ * Waits for a Promise to settle, or for the timeout to pass.
+ * @param {Promise} promise - The Promise
+ * @param {number} timeout - How long to wait, in milliseconds
+ * @returns {Promise<{status: 'fulfilled', value: any}|{status: 'rejected', reason: any}|{status: 'pending'}>}
+ */
+function settlePromise(promise, timeout) {
+    let timer;
+    const pending = new Promise(resolve => { timer = setTimeout(() => resolve({ status: 'pending' }), timeout); });
+    const outcome = promise.then(value => ({ status: 'fulfilled', value }), reason => ({ status: 'rejected', reason }));
+    return Promise.race([outcome, pending]).finally(() => clearTimeout(timer));
+}
+
+// Default for the promiseTimeout option, in milliseconds
+const PROMISE_TIMEOUT = 1000;
+
+// How many output fragments stringifyChunks buffers before joining them into one string
+const FRAGMENTS_PER_BLOCK = 1024;
+
+/**
+ * Walks the data and yields its JSON in chunks. Shared by stringifyPlus (a single chunk) and stringifyPlusStream.
+ * @param {any} data - The data to stringify
+ * @param {Object} options - See stringifyPlus
+ * @param {{settled: Map<Promise, Object>, found: Set<Promise>}|null} [promises] - With resolvePromises, the outcomes
+ *   from settlePromises. Promises without an outcome yet are added to `found`
+ * @returns {Generator<string>}
+ */
+function* stringifyChunks(data, options, promises = null) {
     // Define default options
     const defaults = {
         maxCircularDepth: 1,
         removeKeys: [], // Array of { keyName, replaceString }
-        showTemplate: false // Special option to show template keys
+        showTemplate: false, // Special option to show template keys
+        dedupe: false, // Output repeated shared references as markers to their first path
+        typed: false, // Encode special values as $type envelopes instead of marker strings
+        redact: false, // true, or { keys, values, preset }
+        serializers: [], // Array of { type, serialize } or { test, serialize }
+        adapters: eleventyAdapters, // Read-only summaries of Eleventy internals
+        includeNonEnumerable: false,
+        includeSymbols: false,
+        includeGetters: false, // Prototype accessors, read safely
+        functionSignatures: false, // Parameters and async/generator/class/bound, e.g. "[async function load(url)]"
+        functionSource: 0, // Characters of function source to include (0 for none)
+        sortKeys: false, // true for alphabetical, or a comparator for key names
+        resolvePromises: false, // Await Promises (see settlePromises) and output their outcome
+        promiseTimeout: PROMISE_TIMEOUT,
+        maxDepth: Infinity,
+        maxArrayItems: Infinity,
+        maxStringLength: Infinity,
+        maxOutputBytes: Infinity,
+        pathFormat: 'js', // Notation for paths in markers (see path-format.js)
+        chunkSize: Infinity // Yield output once this many characters are buffered
     };
     // Merge defaults with incoming options (options take precedence)
     options = Object.assign({}, defaults, options);
+    if (!PATH_FORMATS.includes(options.pathFormat)) {
+        throw new TypeError(`Unknown pathFormat "${options.pathFormat}"; expected one of ${PATH_FORMATS.join(', ')}`);
+    }
+
+    /**
+     * Helper to write a path for a marker. Paths are tracked as JS accessors, which can be split back into segments.
+     * @param {string} path - The path as a JS accessor
+     * @returns {string} The path in the pathFormat notation
+     */
+    function formatRefPath(path) {
+        return options.pathFormat === 'js' ? path : formatPath(parsePath(path), options.pathFormat);
+    }
+
+    // Comparator for object keys, or null to keep insertion order
+    const compareKeys = typeof options.sortKeys === 'function' ? options.sortKeys : options.sortKeys ? compareKeyNames : null;
+
+    // Compiled path globs from removeKeys, keyed by glob
+    const globCache = new Map();
+
+    /**
+     * Helper to test a removeKeys pattern against a key.
+     * Strings are compared with the key name first, so keys such as 'a.b' or 'x[0]' can still be named directly.
+     * @param {string|RegExp} pattern - A key name, a path glob, or a RegExp tested against the key name
+     * @param {string} key - The key name
+     * @param {string} path - The full path of the key (e.g. 'root.a.b')
+     * @returns {boolean}
+     */
+    function matchesKeyPattern(pattern, key, path) {
+        if (pattern instanceof RegExp) return key.search(pattern) !== -1;
+        if (typeof pattern !== 'string') return false;
+        if (pattern === key) return true;
+        if (!isPathGlob(pattern)) return false;
+        if (!globCache.has(pattern)) globCache.set(pattern, compilePathGlob(pattern));
+        return globCache.get(pattern)(path);
+    }
+
+    // Key and value patterns to redact, or null when redaction is off
+    const redactRules = getRedactRules(options.redact);
+
+    // Whether keys need checking against removeKeys or redact, which can match on the key's path
+    const hasRemoveKeys = Array.isArray(options.removeKeys) && options.removeKeys.length > 0;
+    const hasKeyRules = hasRemoveKeys || redactRules !== null;
+
+    /**
+     * Helper to check whether a key's value should be redacted.
+     * @param {string} key - The key name
+     * @param {string} path - The full path of the key
+     * @returns {boolean}
+     */
+    function isRedactedKey(key, path) {
+        return redactRules !== null && redactRules.keys.some(pattern => matchesKeyPattern(pattern, key, path));
+    }
+
+    /**
+     * Helper to check whether a string value looks like a secret.
+     * @param {string} value - The string to check
+     * @returns {boolean}
+     */
+    function isRedactedValue(value) {
+        return redactRules !== null && redactRules.values.some(test =>
+            typeof test === 'function' ? test(value) : value.search(test) !== -1);
+    }
 
     // Helper to find a replacement string for a key, if any
-    function getReplacementForKey(key) {
+    function getReplacementForKey(key, path) {
         // Special case: if key is 'template' and showTemplate is true, never replace it
         if (key === 'template' && options.showTemplate) {
             return null;
@@ -32,16 +266,23 @@ export async function stringifyPlus(data, options = {}) {
         if (Array.isArray(options.removeKeys)) {
             // First check for object entries (they take precedence)
             for (const entry of options.removeKeys) {
-                if (typeof entry === 'object' && entry !== null) {
-                    // Handle both formats: {keyName, replaceString} and {key: value}
-                    if (entry.keyName === key || entry[key] !== undefined) {
-                        return entry.replaceString || entry[key];
+                if (typeof entry === 'object' && entry !== null && !(entry instanceof RegExp)) {
+                    // Handle the formats: {keyName, replaceString}, {path, replaceString}, {pattern, replaceString}
+                    // keyName is always a literal key name, never a glob
+                    if (entry.keyName === key ||
+                        (typeof entry.path === 'string' && matchesKeyPattern(entry.path, key, path)) ||
+                        (entry.pattern !== undefined && matchesKeyPattern(new RegExp(entry.pattern), key, path))) {
+                        return entry.replaceString || 'Replaced as key was in supplied removeKeys';
+                    }
+                    // ...and the shorthand {key: value}
+                    if (!REMOVE_KEYS_ENTRY_FIELDS.includes(key) && entry[key] !== undefined) {
+                        return entry[key];
                     }
                 }
             }
-            // Then check for string entries
+            // Then check for string, path glob and RegExp entries
             for (const entry of options.removeKeys) {
-                if (typeof entry === 'string' && entry === key) {
+                if ((typeof entry === 'string' || entry instanceof RegExp) && matchesKeyPattern(entry, key, path)) {
                     // Special case: template key gets default template replacement message
                     if (key === 'template') {
                         return 'Removed for performance reasons. Use { showTemplate: true } to show it';
@@ -59,54 +300,232 @@ export async function stringifyPlus(data, options = {}) {
         return null;
     }
 
+    /**
+     * Helper to encode a special value, either as a typed envelope or as its legacy marker.
+     * @param {string} type - The envelope type (e.g. 'undefined', 'function', 'circular')
+     * @param {Object} fields - Extra envelope fields (e.g. { name })
+     * @param {string} legacy - The JSON to emit when typed output is off
+     * @returns {string}
+     */
+    function encodeSpecial(type, fields, legacy) {
+        if (!options.typed) return countOutput(legacy);
+        return countOutput(JSON.stringify({ [TYPE_KEY]: type, ...fields }));
+    }
+
+    /**
+     * Helper to encode a marker for omitted items, keys or characters.
+     * @param {number} omitted - How many were omitted
+     * @param {string} unit - What was omitted ('items', 'entries', 'keys')
+     * @returns {string}
+     */
+    function encodeOmitted(omitted, unit) {
+        return encodeSpecial('truncated', { omitted, unit }, JSON.stringify(formatOmitted(omitted, unit)));
+    }
+
+    /**
+     * Helper to encode a function with its signature, and its source preview when `functionSource` is set.
+     * Untyped output with a source preview is tagged like Errors, as `{"[Function]":{"signature":…,"source":…}}`.
+     * @param {Function} fn - The function
+     * @returns {string}
+     */
+    function encodeFunction(fn) {
+        const description = describeFunction(fn);
+        const signature = formatFunctionSignature(description);
+        const source = options.functionSource > 0 ? formatFunctionSource(fn, options.functionSource) : undefined;
+        if (options.typed || source === undefined) {
+            return encodeSpecial('function', { ...description, source }, JSON.stringify(`[${signature}]`));
+        }
+        return countOutput(JSON.stringify({ '[Function]': { signature, source } }));
+    }
+
+    /**
+     * Helper to encode a Promise that was rejected or is still pending after promiseTimeout.
+     * @param {Object} outcome - The outcome from settlePromise
+     * @returns {string}
+     */
+    function encodeUnresolved(outcome) {
+        if (outcome.status === 'pending') {
+            const timeout = options.promiseTimeout;
+            return encodeSpecial('promise', { status: 'pending', timeout }, `"[Promise pending after ${timeout}ms]"`);
+        }
+        const name = String(outcome.reason?.name || 'Error');
+        const message = String(outcome.reason?.message ?? outcome.reason);
+        return encodeSpecial('promise', { status: 'rejected', name, message }, JSON.stringify(`[Promise rejected: ${name}: ${message}]`));
+    }
+
+    /**
+     * Helper to encode the error thrown by a getter.
+     * @param {any} error - What the getter threw
+     * @returns {string}
+     */
+    function encodeThrown(error) {
+        const name = String(error?.name || 'Error');
+        const message = String(error?.message ?? error);
+        return encodeSpecial('thrown', { name, message }, JSON.stringify(formatThrown(name, message)));
+    }
+
+    // Approximate size of the output so far (leaf values and keys), checked against maxOutputBytes
+    let outputSize = 0;
+
+    /**
+     * Helper to add a leaf value or key to the running output size.
+     * @param {string} json - The JSON fragment being emitted
+     * @returns {string} The same fragment
+     */
+    function countOutput(json) {
+        outputSize += json.length;
+        return json;
+    }
+
+    /**
+     * Helper to check whether the output budget has been used up.
+     * @returns {boolean}
+     */
+    function isOverBudget() {
+        return outputSize >= options.maxOutputBytes;
+    }
+
+    // Whether any limit can cut a list or object short, so the per-item checks can be skipped when none is set
+    const hasItemLimits = options.maxArrayItems !== Infinity || options.maxOutputBytes !== Infinity;
+    const isChunked = options.chunkSize !== Infinity;
+
+    // Whether objects need more than their own enumerable keys
+    const includesHiddenKeys = options.includeNonEnumerable || options.includeSymbols || options.includeGetters;
+
     // Tracks the first path where each object is seen (for circular reference reporting)
     const seen = new WeakMap();
     // Tracks how many times each object has been stringified in a circular context
     const circularDepths = new WeakMap();
 
+    // The containers currently being stringified, from the root down, with how many times each is open
+    // (more than once when a circular reference is repeated up to maxCircularDepth).
+    // One shared stack is pushed and popped around children, so no per-level copies are made.
+    const ancestors = new Map();
+
+    /**
+     * Helper to push a container onto the ancestor stack before stringifying its children.
+     * @param {Object} source - The container (or the original object it replaces)
+     */
+    function enterAncestor(source) {
+        ancestors.set(source, (ancestors.get(source) || 0) + 1);
+    }
+
+    /**
+     * Helper to pop a container off the ancestor stack once its children are done.
+     * @param {Object} source - The container passed to enterAncestor
+     */
+    function leaveAncestor(source) {
+        const count = ancestors.get(source);
+        if (count > 1) ancestors.set(source, count - 1);
+        else ancestors.delete(source);
+    }
+
+    // Output not yet yielded. Fragments are joined into blocks as they come, so the many small strings are short-lived
+    // and only the blocks are kept until the chunk is taken
+    const blocks = [];
+    const fragments = [];
+    let bufferSize = 0;
+
+    /**
+     * Helper to append a JSON fragment to the output.
+     * @param {string} json - The fragment to append
+     */
+    function write(json) {
+        fragments.push(json);
+        bufferSize += json.length;
+        if (fragments.length === FRAGMENTS_PER_BLOCK) {
+            blocks.push(fragments.join(''));
+            fragments.length = 0;
+        }
+    }
+
+    /**
+     * Helper to check whether enough output is buffered to yield a chunk.
+     * Checked between items and keys, so chunks end at value boundaries.
+     * @returns {boolean}
+     */
+    function isChunkReady() {
+        return bufferSize >= options.chunkSize;
+    }
+
+    /**
+     * Helper to empty the buffer into a single chunk.
+     * @returns {string}
+     */
+    function takeChunk() {
+        blocks.push(fragments.join(''));
+        const chunk = blocks.join('');
+        blocks.length = 0;
+        fragments.length = 0;
+        bufferSize = 0;
+        return chunk;
+    }
+
+    /**
+     * Helper to build the path of a child value. Only objects use their path (it is recorded for circular and ref
+     * markers), so leaf values, most of the data, get null instead of a path string nothing reads.
+     * @param {any} value - The child value
+     * @param {string|null} path - The parent's path (null only when value is a leaf)
+     * @param {string|number|{internal: string}} segment - The child's key, index or internal segment
+     * @returns {string|null} The child's path, or null for a leaf value
+     */
+    function childPath(value, path, segment) {
+        return typeof value === 'object' && value !== null ? appendPath(path, segment) : null;
+    }
+
     /**
      * Helper to stringify a value, handling all special cases and recursion.
+     * Leaf values are written straight away; containers are returned as a generator for the caller to delegate to,
+     * so that only containers pay for a generator.
      * @param {any} value - The value to stringify
-     * @param {string} path - The current path in the object tree
+     * @param {string|null} path - The current path in the object tree (null for leaf values, see childPath)
      * @param {boolean} parentIsRoot - True if the parent is the root object
-     * @param {boolean} inArray - True if the value is inside an array
-     * @param {Set<object>} ancestors - Set of ancestor objects for circular detection
-     * @param {string|null} parentKey - The key of the parent property
-     * @returns {string} - The stringified value
-     */
-    function stringifyPlusInner(value, path = 'root', parentIsRoot = true, inArray = false, ancestors = new Set(), parentKey = null) {
-        // Remove/replace keys if requested
-        if (parentKey) {
-            const replacement = getReplacementForKey(parentKey);
-            if (replacement !== null) {
-                return JSON.stringify(replacement);
-            }
-        }
+     * @returns {Generator<string>|undefined} The generator that writes the container, if value is one
+     */
+    function stringifyPlusInner(value, path = 'root', parentIsRoot = true) {
         // If the root object itself is a single key that matches a replacement
         if (parentIsRoot && typeof value === 'object' && value !== null && Object.keys(value).length === 1) {
             const onlyKey = Object.keys(value)[0];
-            const replacement = getReplacementForKey(onlyKey);
+            const replacement = getReplacementForKey(onlyKey, appendPath(path, onlyKey));
             if (replacement !== null) {
-                return `{${JSON.stringify(onlyKey)}:${JSON.stringify(replacement)}}`;
+                return write(`{${JSON.stringify(onlyKey)}:${encodeSpecial('replaced', { value: replacement }, JSON.stringify(replacement))}}`);
             }
         }
 
         // Handle special primitive values
-        if (value === undefined) return '"[ undefined ]"';
-        if (value === null) return 'null';
+        if (value === undefined) return write(encodeSpecial('undefined', {}, '"[ undefined ]"'));
+        if (value === null) return write(countOutput('null'));
         if (typeof value === 'function') {
+            if (options.functionSignatures || options.functionSource > 0) return write(encodeFunction(value));
             // Name functions if possible
             const name = value.name && value.name !== 'anonymousFunction' ? value.name : 'anonymous';
-            return `"[function ${name}]"`;
+            return write(encodeSpecial('function', { name }, `"[function ${name}]"`));
         }
         if (typeof value === 'symbol') {
-            return `"[Symbol ${value.description || ''}]"`;
+            const description = value.description || '';
+            return write(encodeSpecial('symbol', { description }, JSON.stringify(`[Symbol ${description}]`)));
         }
         if (typeof value === 'bigint') {
-            return `"${value.toString()}"`;
+            return write(encodeSpecial('bigint', { value: value.toString() }, `"${value.toString()}"`));
         }
         if (value instanceof Date) {
-            return JSON.stringify(value);
+            // toJSON is null for invalid dates, as JSON.stringify writes them
+            const iso = value.toJSON();
+            return write(encodeSpecial('date', { value: iso }, JSON.stringify(iso)));
+        }
+        if (promises !== null && value instanceof Promise) {
+            const outcome = promises.settled.get(value);
+            // Fulfilled Promises are output as their value, at the Promise's path
+            if (outcome && outcome.status === 'fulfilled') return stringifyPlusInner(outcome.value, path, parentIsRoot);
+            if (outcome) return write(encodeUnresolved(outcome));
+            promises.found.add(value);
+        }
+        if (typeof value === 'object' && value !== null) {
+            // Built-ins with no useful enumerable keys get a compact marker, unless a serializer formats them
+            const builtIn = describeBuiltIn(value);
+            if (builtIn && !findSerializer(value)) {
+                return write(encodeSpecial(builtIn.type, builtIn.fields, JSON.stringify(builtIn.legacy)));
+            }
         }
 
         // Handle objects and arrays
@@ -118,93 +537,1158 @@ export async function stringifyPlus(data, options = {}) {
                 if (count < options.maxCircularDepth) {
                     circularDepths.set(value, count + 1);
                     // Recursively output the object/array again
-                    return Array.isArray(value)
-                        ? stringifyArray(value, path, ancestors)
-                        : stringifyObject(value, path, ancestors);
+                    return stringifyContainer(value, path);
                 } else {
                     // Output the path where the reference originated (first seen)
-                    return `"[Circular Ref: ${seen.get(value) || path}]"`;
+                    const refPath = formatRefPath(seen.get(value) || path);
+                    return write(encodeSpecial('circular', { path: refPath }, JSON.stringify(`[Circular Ref: ${refPath}]`)));
                 }
             }
-            // Not a circular reference, track first seen path
-            if (!seen.has(value)) seen.set(value, path);
-            // Eleventy-specific: set needsCheck to false if present
-            if (Object.prototype.hasOwnProperty.call(value, 'needsCheck')) {
-                value.needsCheck = false;
+            // Not a circular reference, but may be a shared one already written elsewhere
+            if (options.dedupe && seen.has(value)) {
+                const refPath = formatRefPath(seen.get(value));
+                return write(encodeSpecial('ref', { path: refPath }, JSON.stringify(`[Ref: ${refPath}]`)));
             }
-            // Handle arrays and objects
-            return Array.isArray(value)
-                ? stringifyArray(value, path, ancestors)
-                : stringifyObject(value, path, ancestors);
+            // Track first seen path
+            if (!seen.has(value)) seen.set(value, path);
+            // Handle arrays, Maps, Sets and objects
+            return stringifyContainer(value, path);
         }
 
         // Handle primitive values
         if (typeof value === 'number') {
-            // JSON.stringify outputs null for non-finite numbers
-            return Number.isFinite(value) ? value.toString() : 'null';
+            // JSON has no NaN, Infinity or -0 (JSON.stringify outputs null and 0), so they are encoded as special values
+            if (!Number.isFinite(value) || Object.is(value, -0)) {
+                const text = Object.is(value, -0) ? '-0' : String(value);
+                return write(encodeSpecial('number', { value: text }, `"[${text}]"`));
+            }
+            return write(countOutput(value.toString()));
+        }
+        if (typeof value === 'string') {
+            if (isRedactedValue(value)) {
+                return write(encodeSpecial('redacted', {}, JSON.stringify(REDACTED_MARKER)));
+            }
+            if (value.length > options.maxStringLength) {
+                const kept = value.slice(0, options.maxStringLength);
+                const omitted = value.length - kept.length;
+                return write(encodeSpecial('truncated', { value: kept, omitted, unit: 'characters' },
+                    JSON.stringify(kept + formatOmitted(omitted, 'characters'))));
+            }
+            return write(countOutput(JSON.stringify(value)));
         }
-        if (typeof value === 'string') return JSON.stringify(value);
-        if (typeof value === 'boolean') return value.toString();
+        if (typeof value === 'boolean') return write(countOutput(value.toString()));
 
         // Fallback for unknown types
-        return `"[${typeof value} ${value?.constructor?.name || ''}]"`;
+        write(countOutput(`"[${typeof value} ${value?.constructor?.name || ''}]"`));
+    }
+
+    /**
+     * Helper to dispatch a container to the matching stringifier. Returns that stringifier's generator rather than
+     * delegating to it, so each container costs one generator.
+     * @param {Array|Map|Set|Object} value - The container to stringify
+     * @param {string} path - The current path in the object tree
+     * @returns {Generator<string>|undefined} The generator that writes the container, unless it was truncated
+     */
+    function stringifyContainer(value, path) {
+        // The number of distinct ancestors is the depth of this container (the root is at depth 0)
+        if (ancestors.size >= options.maxDepth) {
+            // A truncated object was not written out, so later references to it should not point here
+            if (options.dedupe && seen.get(value) === path) seen.delete(value);
+            return write(encodeSpecial('truncated', { depth: ancestors.size }, JSON.stringify(`[truncated at depth ${ancestors.size}]`)));
+        }
+        // Serializers, toJSON and adapters replace the value with another one. The replacement is output in its place,
+        // while the original stays the ancestor for circular detection and keeps its class name
+        const serializer = findSerializer(value);
+        if (serializer) return stringifyReplacement(serializer.serialize(value), value, path);
+        if (value instanceof Error) return stringifyError(value, path);
+        if (typeof value.toJSON === 'function') return stringifyReplacement(value.toJSON(), value, path);
+        const adapter = findAdapter(value);
+        if (adapter) return stringifyObject(adapter.summarize(value), path, value, adapter.name);
+
+        if (Array.isArray(value)) return stringifyArray(value, path);
+        if (value instanceof Map) return stringifyMap(value, path);
+        if (value instanceof Set) return stringifySet(value, path);
+        return stringifyObject(value, path);
+    }
+
+    /**
+     * Helper to stringify the value returned by a serializer or toJSON in place of the original.
+     * In typed mode a leaf replacement of a class instance keeps the class name, as
+     * `{"$type":"instance","className":...,"value":...}`.
+     * @param {any} replacement - The value to output
+     * @param {Object} source - The original object
+     * @param {string} path - The current path in the object tree
+     */
+    function* stringifyReplacement(replacement, source, path) {
+        if (typeof replacement !== 'object' || replacement === null || replacement instanceof Date) {
+            const className = options.typed ? getClassName(source) : null;
+            if (className) write(`{"${TYPE_KEY}":"instance","className":${JSON.stringify(className)},"value":`);
+            stringifyPlusInner(replacement, path, false);
+            if (className) write('}');
+            return;
+        }
+        if (Array.isArray(replacement)) return yield* stringifyArray(replacement, path, source);
+        if (replacement instanceof Map) return yield* stringifyMap(replacement, path, source);
+        if (replacement instanceof Set) return yield* stringifySet(replacement, path, source);
+        return yield* stringifyObject(replacement, path, source, getClassName(source));
+    }
+
+    /**
+     * Helper to stringify Errors as `{"[Error]":{...}}` (or `{"$type":"error","value":{...}}` in typed mode),
+     * where the inner object comes from describeError.
+     * @param {Error} error - The Error to stringify
+     * @param {string} path - The current path in the object tree
+     */
+    function* stringifyError(error, path) {
+        write(options.typed ? `{"${TYPE_KEY}":"error","value":` : '{"[Error]":');
+        yield* stringifyObject(describeError(error), path, error, null);
+        write('}');
+    }
+
+    // Whether any serializers were given, so objects need not be checked against an empty list
+    const hasSerializers = Array.isArray(options.serializers) && options.serializers.length > 0;
+
+    /**
+     * Helper to find the first serializer that matches an object, by constructor (`type`) or predicate (`test`).
+     * @param {Object} value - The object to check
+     * @returns {Object|undefined} The serializer, if any
+     */
+    function findSerializer(value) {
+        if (!hasSerializers) return undefined;
+        return options.serializers.find(serializer =>
+            (typeof serializer.type === 'function' && value instanceof serializer.type) ||
+            (typeof serializer.test === 'function' && serializer.test(value)));
+    }
+
+    /**
+     * Helper to find the first adapter that recognises an object.
+     * @param {Object} value - The object to check
+     * @returns {Object|undefined} The adapter, if any
+     */
+    function findAdapter(value) {
+        if (!Array.isArray(options.adapters)) return undefined;
+        return options.adapters.find(adapter => adapter.test(value));
+    }
+
+    /**
+     * Helper to write a comma-separated list of items, stopping at maxArrayItems or when the output budget is used up.
+     * @param {number} length - The number of items
+     * @param {function(number): (Generator<string>|undefined)} writeItem - Writes the item at an index, like stringifyPlusInner
+     * @param {string} unit - What the items are called in the omitted marker
+     * @param {function(string): string} [wrapMarker] - Wraps the omitted marker to fit the list (e.g. as a Map entry)
+     */
+    function* writeItems(length, writeItem, unit, wrapMarker = marker => marker) {
+        for (let index = 0; index < length; index++) {
+            if (isChunked && isChunkReady()) yield takeChunk();
+            if (index > 0) write(',');
+            if (hasItemLimits && (index >= options.maxArrayItems || isOverBudget())) {
+                write(wrapMarker(encodeOmitted(length - index, unit)));
+                break;
+            }
+            const container = writeItem(index);
+            if (container) yield* container;
+        }
     }
 
     /**
      * Helper to stringify arrays, handling circular references and special values.
      * @param {Array} arr - The array to stringify
      * @param {string} path - The current path in the object tree
-     * @param {Set<object>} ancestors - Set of ancestor objects for circular detection
-     * @returns {string}
+     * @param {Object} [source=arr] - The original object when arr replaces it
+     */
+    function* stringifyArray(arr, path, source = arr) {
+        enterAncestor(source);
+        write('[');
+        yield* writeItems(arr.length, index => stringifyPlusInner(arr[index], childPath(arr[index], path, index), false), 'items');
+        write(']');
+        leaveAncestor(source);
+    }
+
+    /**
+     * Helper to stringify Maps as a list of [key, value] entries.
+     * Keys may be any value, so both keys and values are stringified recursively.
+     * @param {Map} map - The Map to stringify
+     * @param {string} path - The current path in the object tree
+     * @param {Object} [source=map] - The original object when map replaces it
      */
-    function stringifyArray(arr, path, ancestors) {
-        const nextAncestors = new Set([...ancestors, arr]);
-        const elements = arr.map((item, index) =>
-            stringifyPlusInner(item, `${path}[${index}]`, false, true, nextAncestors, null)
-        );
-        return `[${elements.join(',')}]`;
+    function* stringifyMap(map, path, source = map) {
+        enterAncestor(source);
+        const mapEntries = [...map];
+        const entriesPath = appendPath(path, ENTRIES_SEGMENT);
+        write(options.typed ? `{"${TYPE_KEY}":"map","entries":[` : '{"[Map]":[');
+        yield* writeItems(mapEntries.length, function* (index) {
+            const [key, val] = mapEntries[index];
+            // The entry's path is only needed when its key or value is an object
+            const entryPath = childPath(key, entriesPath, index) ?? childPath(val, entriesPath, index);
+            write('[');
+            const keyContainer = stringifyPlusInner(key, childPath(key, entryPath, 0), false);
+            if (keyContainer) yield* keyContainer;
+            write(',');
+            const valueContainer = stringifyPlusInner(val, childPath(val, entryPath, 1), false);
+            if (valueContainer) yield* valueContainer;
+            write(']');
+        }, 'entries', marker => `["[…]",${marker}]`);
+        write(']}');
+        leaveAncestor(source);
+    }
+
+    /**
+     * Helper to stringify Sets as a list of members.
+     * @param {Set} set - The Set to stringify
+     * @param {string} path - The current path in the object tree
+     * @param {Object} [source=set] - The original object when set replaces it
+     */
+    function* stringifySet(set, path, source = set) {
+        enterAncestor(source);
+        const setMembers = [...set];
+        const entriesPath = appendPath(path, ENTRIES_SEGMENT);
+        write(options.typed ? `{"${TYPE_KEY}":"set","values":[` : '{"[Set]":[');
+        yield* writeItems(setMembers.length, index =>
+            stringifyPlusInner(setMembers[index], childPath(setMembers[index], entriesPath, index), false), 'items');
+        write(']}');
+        leaveAncestor(source);
     }
 
     /**
      * Helper to stringify objects, handling circular references and special values.
+     * Class instances get a leading `"[[Class]]"` key. In typed mode, class instances and objects that would be
+     * mistaken for an envelope are instead wrapped as `{"$type":"object","className":...,"value":{...}}`.
      * @param {Object} obj - The object to stringify
      * @param {string} path - The current path in the object tree
-     * @param {Set<object>} ancestors - Set of ancestor objects for circular detection
-     * @returns {string}
+     * @param {Object} [source=obj] - The original object when obj is an adapter snapshot
+     * @param {string|null} [className] - Class name to record in typed mode (defaults to the constructor name)
      */
-    function stringifyObject(obj, path, ancestors) {
-        const nextAncestors = new Set([...ancestors, obj]);
-        const keys = Object.keys(obj);
-        const pairs = keys.map(key => {
-            // Remove/replace keys if requested
-            const replacement = getReplacementForKey(key);
+    function* stringifyObject(obj, path, source = obj, className = getClassName(obj)) {
+        enterAncestor(source);
+        // Own enumerable keys, unless other kinds of property were asked for
+        const properties = includesHiddenKeys ? collectProperties(obj, options) : null;
+        if (properties && compareKeys) properties.sort((a, b) => compareKeys(a.name, b.name));
+        const keys = properties ? properties.map(property => property.name) : Object.keys(obj);
+        if (!properties && compareKeys) keys.sort(compareKeys);
+        let keyKinds = null;
+        if (properties) {
+            for (const { name, kind } of properties) {
+                if (kind) (keyKinds ||= {})[name] = kind;
+            }
+        }
+        const wrapped = options.typed && (className || keyKinds || Object.prototype.hasOwnProperty.call(obj, TYPE_KEY));
+        if (wrapped) {
+            const classField = className ? `,"className":${JSON.stringify(className)}` : '';
+            const keyKindsField = keyKinds ? `,"keyKinds":${countOutput(JSON.stringify(keyKinds))}` : '';
+            write(`{"${TYPE_KEY}":"object"${classField}${keyKindsField},"value":`);
+        }
+        write('{');
+        let first = true;
+        if (className && !options.typed) {
+            write(`${JSON.stringify(CLASS_KEY)}:${countOutput(JSON.stringify(className))}`);
+            first = false;
+        }
+        if (keyKinds && !options.typed) {
+            if (!first) write(',');
+            write(`${JSON.stringify(KEY_KINDS_KEY)}:${countOutput(JSON.stringify(keyKinds))}`);
+            first = false;
+        }
+        for (let index = 0; index < keys.length; index++) {
+            const key = keys[index];
+            if (isChunked && isChunkReady()) yield takeChunk();
+            const separator = first ? '' : ',';
+            first = false;
+            if (hasItemLimits && isOverBudget()) {
+                write(`${separator}"[…]":${encodeOmitted(keys.length - index, 'keys')}`);
+                break;
+            }
+            write(`${separator}${countOutput(JSON.stringify(key))}:`);
+            const property = properties ? properties[index].key : key;
+            const segment = typeof property === 'symbol' ? symbolSegment(property) : key;
+            // The path is built up front only for removeKeys and redact rules; otherwise only objects get one
+            const keyPath = hasKeyRules ? appendPath(path, segment) : null;
+            // Remove/replace keys if requested ('template' is replaced by default)
+            const replacement = hasRemoveKeys || key === 'template' ? getReplacementForKey(key, keyPath) : null;
             if (replacement !== null) {
-                return `${JSON.stringify(key)}:${JSON.stringify(replacement)}`;
+                write(encodeSpecial('replaced', { value: replacement }, JSON.stringify(replacement)));
+                continue;
             }
-            let val = obj[key];
-            // Handle special values for object properties
-            if (val === undefined) {
-                return `${JSON.stringify(key)}:"[ undefined ]"`;
+            if (redactRules !== null && isRedactedKey(key, keyPath)) {
+                write(encodeSpecial('redacted', {}, JSON.stringify(REDACTED_MARKER)));
+                continue;
             }
-            if (val === null) {
-                return `${JSON.stringify(key)}:null`;
+            let value;
+            if (properties) {
+                // Getters may throw (e.g. templateContent before render), so read them safely
+                const result = tryReadProperty(obj, property);
+                if ('error' in result) {
+                    write(encodeThrown(result.error));
+                    continue;
+                }
+                value = result.value;
+            } else {
+                value = obj[key];
             }
-            if (typeof val === 'function') {
-                const name = val.name && val.name !== 'anonymousFunction' ? val.name : 'anonymous';
-                return `${JSON.stringify(key)}:"[function ${name}]"`;
+            // Recursively stringify property (special values are handled by stringifyPlusInner)
+            const container = stringifyPlusInner(value, keyPath ?? childPath(value, path, segment), false);
+            if (container) yield* container;
+        }
+        write(wrapped ? '}}' : '}');
+        leaveAncestor(source);
+    }
+
+    // Start the stringification process
+    const container = stringifyPlusInner(data);
+    if (container) yield* container;
+    yield takeChunk();
+}
+
+/**
+ * Key used to tag typed envelopes when stringifyPlus is called with `{ typed: true }`.
+ * @type {string}
+ */
+export const TYPE_KEY = '$type';
+
+/**
+ * Key that records a class instance's constructor name in untyped output, e.g. `{"[[Class]]":"Person","name":"Ann"}`.
+ * @type {string}
+ */
+export const CLASS_KEY = '[[Class]]';
+
+/**
+ * Key stringifyPlus adds to objects, after any `"[[Class]]"` key, when `includeNonEnumerable`, `includeSymbols` or
+ * `includeGetters` add properties that are not own enumerable keys. It maps each such key to its kind:
+ * `'nonEnumerable'`, `'symbol'` or `'getter'`, e.g. `{"templateContent":"getter"}`. Typed output uses `keyKinds` instead.
+ * @type {string}
+ */
+export const KEY_KINDS_KEY = '[[KeyKinds]]';
+
+/**
+ * Marker that replaces redacted values.
+ * @type {string}
+ */
+export const REDACTED_MARKER = '[redacted]';
+
+/**
+ * Built-in redaction patterns used by `{ redact: true }`.
+ * `keys` match secret-looking key names; `values` match strings that look like credentials
+ * (JWTs, Authorization header values, well-known token prefixes, and long high-entropy hex/base64).
+ * @type {{keys: RegExp[], values: Array<RegExp|function(string): boolean>}}
+ */
+export const REDACT_PRESET = {
+    keys: [
+        /passw(or)?d/i,
+        /^pwd$/i,
+        // Anchored to the end of the key (or a _ or - word), so keys like tokens, maxTokens and secretary are kept
+        /(^|[_-])(client[_-]?|app[_-]?)?secret([_-]?(access[_-]?)?key)?$/i,
+        /(^|[_-])((access|refresh|auth|api|bearer|csrf|session|id)[_-]?)?token$/i,
+        /api[-_]?key/i,
+        /^authorization$/i,
+        /^auth$/i,
+        /cookie/i,
+        /private[-_]?key/i,
+        /session[-_]?id/i,
+        /credentials?$/i
+    ],
+    values: [
+        /^eyJ[\w-]+\.[\w-]+\.[\w-]*$/, // JWT
+        /^(Bearer|Basic|Token)\s+\S+$/i, // Authorization header values
+        /^(sk|pk|rk)_(live|test)_[A-Za-z0-9]{16,}$/, // Stripe-style keys
+        /^gh[pousr]_[A-Za-z0-9]{36,}$/, // GitHub tokens
+        /^xox[abprs]-[A-Za-z0-9-]{10,}$/, // Slack tokens
+        /^AKIA[0-9A-Z]{16}$/, // AWS access key IDs
+        isHighEntropySecret
+    ]
+};
+
+/**
+ * Resolves the redact option into key and value patterns.
+ * @param {boolean|Object} redact - The redact option
+ * @returns {{keys: Array, values: Array}|null} The patterns, or null when redaction is off
+ */
+function getRedactRules(redact) {
+    if (!redact) return null;
+    const custom = typeof redact === 'object' ? redact : {};
+    const usePreset = custom.preset !== false;
+    return {
+        keys: [...(usePreset ? REDACT_PRESET.keys : []), ...(custom.keys || [])],
+        values: [...(usePreset ? REDACT_PRESET.values : []), ...(custom.values || [])]
+    };
+}
+
+/**
+ * Checks whether a string is a long, high-entropy hex or base64 string (e.g. an API key or hash-like secret).
+ * Requires both letters and digits (and mixed case for base64) so long words and slugs are not caught.
+ * @param {string} value - The string to check
+ * @returns {boolean}
+ */
+function isHighEntropySecret(value) {
+    const isHex = /^[0-9a-f]{32,}$/i.test(value);
+    const isBase64 = /^[A-Za-z0-9+/_-]{32,}={0,2}$/.test(value);
+    if (!isHex && !isBase64) return false;
+    if (!/\d/.test(value) || !/[A-Za-z]/.test(value)) return false;
+    // Base64 secrets mix upper and lower case, unlike slugs and identifiers
+    if (!isHex && (!/[a-z]/.test(value) || !/[A-Z]/.test(value))) return false;
+
+    // Shannon entropy in bits per character
+    const counts = new Map();
+    for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+    let entropy = 0;
+    for (const count of counts.values()) {
+        const p = count / value.length;
+        entropy -= p * Math.log2(p);
+    }
+    return entropy >= (isHex ? 3 : 4.2);
+}
+
+/**
+ * Fields of a removeKeys object entry that are not themselves key names (see the `{ key: replaceString }` shorthand).
+ * @type {string[]}
+ */
+const REMOVE_KEYS_ENTRY_FIELDS = ['keyName', 'replaceString', 'path', 'pattern'];
+
+/**
+ * Checks whether a removeKeys string is a path glob rather than a bare key name.
+ * @param {string} pattern - The removeKeys entry
+ * @returns {boolean}
+ */
+function isPathGlob(pattern) {
+    return /[.*[]/.test(pattern);
+}
+
+/**
+ * Compiles a path glob such as 'collections.*.data.password' or '**.templateContent' into a matcher for
+ * stringifyPlus paths (e.g. 'root.collections.all[0].data.password').
+ * Globs are matched step by step, where a step is a key plus any array indices after it (e.g. 'all[0]').
+ * Keys are matched as they are, so 'headers.x-api-key' matches the path 'root.headers["x-api-key"]'.
+ * `*` matches any characters within a step and `**` matches any number of steps, including none.
+ * @param {string} glob - The path glob, optionally starting with 'root.'
+ * @returns {function(string): boolean} Tests a full path (as a JS accessor) against the glob
+ */
+function compilePathGlob(glob) {
+    const globSteps = glob.replace(/^root(\.|(?=\[)|$)/, '').split('.').filter(step => step !== '').map(step => step === '**'
+        ? step
+        : new RegExp('^' + step.split('*').map(part => part.replace(/[\\^$+?.()|[\]{}]/g, '\\$&')).join('.*') + '$'));
+
+    const matchSteps = (globIndex, pathSteps, pathIndex) => {
+        if (globIndex === globSteps.length) return pathIndex === pathSteps.length;
+        const step = globSteps[globIndex];
+        if (step === '**') {
+            for (let i = pathIndex; i <= pathSteps.length; i++) {
+                if (matchSteps(globIndex + 1, pathSteps, i)) return true;
             }
-            if (typeof val === 'symbol') {
-                return `${JSON.stringify(key)}:"[Symbol ${val.description || ''}]"`;
+            return false;
+        }
+        return pathIndex < pathSteps.length && step.test(pathSteps[pathIndex]) && matchSteps(globIndex + 1, pathSteps, pathIndex + 1);
+    };
+
+    return path => matchSteps(0, toPathSteps(parsePath(path) || []), 0);
+}
+
+/**
+ * Groups path segments into glob steps: each key starts a step, and indexes and other segments are added to it
+ * in brackets (e.g. ['all', 0] becomes ['all[0]']).
+ * @param {Array<string|number|{internal: string}>} segments - The path segments
+ * @returns {string[]} The steps
+ */
+function toPathSteps(segments) {
+    const steps = [];
+    for (const segment of segments) {
+        if (typeof segment === 'string') {
+            steps.push(segment);
+            continue;
+        }
+        const text = `[${typeof segment === 'number' ? segment : segment.internal}]`;
+        if (steps.length === 0) steps.push(text);
+        else steps[steps.length - 1] += text;
+    }
+    return steps;
+}
+
+/**
+ * Lists the properties of an object to output when `includeNonEnumerable`, `includeSymbols` or `includeGetters` is on:
+ * own enumerable keys first (as Object.keys would), then the extra properties asked for, each with its kind.
+ * Symbol keys are named like "[Symbol description]".
+ * @param {Object} obj - The object
+ * @param {Object} options - The stringifyPlus options
+ * @returns {Array<{key: string|symbol, name: string, kind: string|null}>} The properties, with a null kind for plain keys
+ */
+function collectProperties(obj, options) {
+    const properties = [];
+    const names = new Set();
+    const add = (key, kind) => {
+        const name = typeof key === 'symbol' ? `[Symbol ${key.description || ''}]` : key;
+        if (names.has(name)) return;
+        names.add(name);
+        properties.push({ key, name, kind });
+    };
+    for (const key of Reflect.ownKeys(obj)) {
+        const descriptor = Object.getOwnPropertyDescriptor(obj, key);
+        if (!descriptor.enumerable && !options.includeNonEnumerable) continue;
+        if (typeof key === 'symbol') {
+            if (options.includeSymbols) add(key, 'symbol');
+        } else {
+            add(key, descriptor.enumerable ? null : 'nonEnumerable');
+        }
+    }
+    if (options.includeGetters) {
+        // Accessors on the prototype chain, stopping before the built-in Object.prototype
+        for (let proto = Object.getPrototypeOf(obj); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+            for (const key of Object.getOwnPropertyNames(proto)) {
+                if (Object.getOwnPropertyDescriptor(proto, key).get) add(key, 'getter');
             }
-            if (typeof val === 'bigint') {
-                return `${JSON.stringify(key)}:"${val.toString()}"`;
+        }
+    }
+    return properties;
+}
+
+/**
+ * Reads a property, invoking any getter (own or inherited) without letting it throw.
+ * @param {Object} obj - The object
+ * @param {string|symbol} key - The property to read
+ * @returns {{value: any}|{error: any}} The value, or what the getter threw
+ */
+function tryReadProperty(obj, key) {
+    try {
+        return { value: obj[key] };
+    } catch (error) {
+        return { error };
+    }
+}
+
+/**
+ * Formats the marker text for a getter that threw, e.g. "[threw TypeError: nope]".
+ * @param {string} name - The error name
+ * @param {string} message - The error message
+ * @returns {string}
+ */
+function formatThrown(name, message) {
+    return `[threw ${name}: ${message}]`;
+}
+
+/**
+ * Describes a built-in object that would otherwise be output as `{}` or a huge indexed object:
+ * RegExp (source and flags), URL (href), binary data (byte length and a hex preview of the first bytes),
+ * and built-ins whose contents cannot be read (Promise, WeakMap, WeakSet, WeakRef).
+ * @param {Object} value - The object to describe
+ * @returns {{type: string, fields: Object, legacy: string}|null} The envelope type, its fields and the untyped marker,
+ *   or null for other objects
+ */
+function describeBuiltIn(value) {
+    if (value instanceof RegExp) {
+        return { type: 'regexp', fields: { source: value.source, flags: value.flags }, legacy: `[RegExp ${String(value)}]` };
+    }
+    if (typeof URL === 'function' && value instanceof URL) {
+        return { type: 'url', fields: { href: value.href }, legacy: `[URL ${value.href}]` };
+    }
+    const isBuffer = value instanceof ArrayBuffer || (typeof SharedArrayBuffer === 'function' && value instanceof SharedArrayBuffer);
+    if (isBuffer || ArrayBuffer.isView(value)) {
+        const bytes = isBuffer ? new Uint8Array(value) : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+        const className = getClassName(value) || 'ArrayBuffer';
+        const preview = formatHexPreview(bytes);
+        const legacy = `[${className} ${bytes.length} bytes${preview ? `: ${preview}` : ''}]`;
+        return { type: 'bytes', fields: { className, byteLength: bytes.length, preview }, legacy };
+    }
+    for (const opaque of OPAQUE_TYPES) {
+        if (value instanceof opaque) return { type: 'opaque', fields: { className: opaque.name }, legacy: `[${opaque.name}]` };
+    }
+    return null;
+}
+
+// Built-ins whose contents cannot be read, output by describeBuiltIn as just their class name
+const OPAQUE_TYPES = [Promise, WeakMap, WeakSet, globalThis.WeakRef].filter(type => typeof type === 'function');
+
+// How many bytes of binary data to show in hex
+const HEX_PREVIEW_BYTES = 16;
+
+/**
+ * Formats the first bytes of binary data as hex, e.g. "68 65 6c 6c 6f", ending with "…" when there are more.
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {string}
+ */
+function formatHexPreview(bytes) {
+    const shown = Array.from(bytes.subarray(0, HEX_PREVIEW_BYTES), byte => byte.toString(16).padStart(2, '0'));
+    return shown.join(' ') + (bytes.length > HEX_PREVIEW_BYTES ? ' …' : '');
+}
+
+/**
+ * Describes a function's signature: its name, parameters, and whether it is async, a generator, a class or bound.
+ * Only the flags that are true are included.
+ * @param {Function} fn - The function to describe
+ * @returns {{name: string, params: string[]|null, async?: boolean, generator?: boolean, class?: boolean, bound?: boolean}}
+ */
+function describeFunction(fn) {
+    const source = Function.prototype.toString.call(fn);
+    // Bound functions are named "bound target"; their own source is native, so their parameters are unknown
+    const fullName = typeof fn.name === 'string' ? fn.name : '';
+    const isBound = fullName.startsWith('bound ');
+    const name = isBound ? fullName.slice('bound '.length) : fullName;
+    const isClass = /^class\b/.test(source);
+    const description = {
+        name: name && name !== 'anonymousFunction' ? name : 'anonymous',
+        params: parseParams(source, isClass)
+    };
+    const kind = Object.getPrototypeOf(fn)?.constructor?.name;
+    if (kind === 'AsyncFunction' || kind === 'AsyncGeneratorFunction') description.async = true;
+    if (kind === 'GeneratorFunction' || kind === 'AsyncGeneratorFunction') description.generator = true;
+    if (isClass) description.class = true;
+    if (isBound) description.bound = true;
+    return description;
+}
+
+/**
+ * Reads the parameter list from a function's source, keeping defaults and destructuring as written.
+ * @param {string} source - The function's source, from Function.prototype.toString
+ * @param {boolean} isClass - Whether the source is a class, whose parameters are those of its constructor
+ * @returns {string[]|null} The parameters, or null for native code (including bound functions)
+ */
+function parseParams(source, isClass) {
+    if (/\{\s*\[native code\]\s*\}$/.test(source)) return null;
+    let start;
+    if (isClass) {
+        const constructor = /\bconstructor\s*\(/.exec(source);
+        if (!constructor) return [];
+        start = constructor.index + constructor[0].length - 1;
+    } else {
+        // A single arrow parameter without parentheses, e.g. `async page => page.url`
+        const arrow = /^(?:async\s+)?([\w$]+)\s*=>/.exec(source);
+        if (arrow) return [arrow[1]];
+        start = source.indexOf('(');
+        if (start === -1) return [];
+    }
+    const params = [];
+    let current = '';
+    let depth = 0;
+    for (let index = start + 1; index < source.length; index++) {
+        const char = source[index];
+        if (char === '"' || char === "'" || char === '`') {
+            // Copy string literals whole, so brackets and commas inside them don't count
+            let end = index + 1;
+            while (end < source.length && source[end] !== char) end += source[end] === '\\' ? 2 : 1;
+            current += source.slice(index, end + 1);
+            index = end;
+            continue;
+        }
+        if (char === '/' && (source[index + 1] === '*' || source[index + 1] === '/')) {
+            // Skip comments
+            const end = source[index + 1] === '*' ? source.indexOf('*/', index + 2) + 1 : source.indexOf('\n', index);
+            if (end <= 0) break;
+            index = end;
+            continue;
+        }
+        if (char === '(' || char === '[' || char === '{') depth++;
+        if (char === ')' || char === ']' || char === '}') {
+            if (depth === 0) break;
+            depth--;
+        }
+        if (char === ',' && depth === 0) {
+            params.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    params.push(current);
+    return params.map(param => param.trim().replace(/\s+/g, ' ')).filter(param => param !== '');
+}
+
+/**
+ * Formats a function description as a signature, e.g. "async function load(url)" or "class Post(title)".
+ * Descriptions without `params` (signatures off) have no parameter list; unknown parameters are shown as "(…)".
+ * @param {{name: string, params?: string[]|null, async?: boolean, generator?: boolean, class?: boolean, bound?: boolean}} description
+ * @returns {string}
+ */
+function formatFunctionSignature(description) {
+    const { name, params } = description;
+    const list = params === undefined ? '' : params === null ? '(…)' : `(${params.join(', ')})`;
+    if (description.class) return `class ${name}${list}`;
+    const prefix = (description.bound ? 'bound ' : '') + (description.async ? 'async ' : '');
+    return `${prefix}function${description.generator ? '*' : ''} ${name}${list}`;
+}
+
+/**
+ * Reads a function's source, cut to a preview with a "[… N more characters]" marker when longer than `maxLength`.
+ * @param {Function} fn - The function
+ * @param {number} maxLength - The most characters to keep
+ * @returns {string}
+ */
+function formatFunctionSource(fn, maxLength) {
+    const source = Function.prototype.toString.call(fn);
+    if (source.length <= maxLength) return source;
+    return source.slice(0, maxLength) + formatOmitted(source.length - maxLength, 'characters');
+}
+
+/**
+ * Describes an Error as a plain object: its name, message and parsed stack frames, then any custom fields
+ * (such as `code` or `status`), its `cause` and, for an AggregateError, its `errors`.
+ * @param {Error} error - The Error to describe
+ * @returns {Object} The description
+ */
+function describeError(error) {
+    const description = { name: String(error.name || 'Error'), message: String(error.message ?? '') };
+    if (typeof error.stack === 'string') description.stack = parseStack(error.stack);
+    for (const key of Object.keys(error)) {
+        if (!(key in description) && key !== 'cause' && key !== 'errors') description[key] = error[key];
+    }
+    if ('cause' in error) description.cause = error.cause;
+    if (Array.isArray(error.errors)) description.errors = error.errors;
+    return description;
+}
+
+/**
+ * Parses the frames of a V8 (`    at fn (file:1:2)`) or Firefox/Safari (`fn@file:1:2`) stack trace.
+ * Lines that are not frames, such as the message at the top, are skipped.
+ * @param {string} stack - The `stack` of an Error
+ * @returns {Array<{function: string, file?: string, line?: number, column?: number}>} The frames, innermost first
+ */
+function parseStack(stack) {
+    const frames = [];
+    for (const line of stack.split('\n')) {
+        const v8Frame = line.match(/^\s+at (.+)$/);
+        const frame = v8Frame ? v8Frame[1] : line.match(/^[^\s@]*@\S+:\d+:\d+$/) && line.replace('@', ' (') + ')';
+        if (!frame) continue;
+        // "fn (file:line:column)", "file:line:column" or "fn (file)" for native frames such as "Array.map (<anonymous>)"
+        const located = frame.match(/^(?:(.*) \()?(.+?):(\d+):(\d+)\)?$/);
+        if (located) {
+            frames.push({ function: located[1] || '<anonymous>', file: located[2], line: Number(located[3]), column: Number(located[4]) });
+            continue;
+        }
+        const native = frame.match(/^(.*) \((.*)\)$/);
+        frames.push(native ? { function: native[1], file: native[2] } : { function: frame });
+    }
+    return frames;
+}
+
+/**
+ * Formats a parsed stack frame the way V8 prints it, e.g. "load (/src/_data/posts.js:12:5)".
+ * @param {{function: string, file?: string, line?: number, column?: number}} frame - The frame
+ * @returns {string}
+ */
+function formatStackFrame(frame) {
+    if (frame.file === undefined) return frame.function;
+    const location = frame.line === undefined ? frame.file : `${frame.file}:${frame.line}:${frame.column}`;
+    return `${frame.function} (${location})`;
+}
+
+/**
+ * Formats the marker text for omitted items, e.g. "[… 940 more items]".
+ * @param {number} omitted - How many were omitted
+ * @param {string} unit - What was omitted ('items', 'entries', 'keys', 'characters')
+ * @returns {string}
+ */
+function formatOmitted(omitted, unit) {
+    return `[… ${omitted} more ${unit}]`;
+}
+
+/**
+ * Compares key names by UTF-16 code units, so sorted output is the same in every locale.
+ * @param {string} a - A key name
+ * @param {string} b - Another key name
+ * @returns {number}
+ */
+function compareKeyNames(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Returns the constructor name of a class instance, or null for plain objects.
+ * @param {Object} obj - The object to inspect
+ * @returns {string|null}
+ */
+function getClassName(obj) {
+    const proto = Object.getPrototypeOf(obj);
+    if (proto === null || proto === Object.prototype) return null;
+    const name = proto.constructor && proto.constructor.name;
+    return name && name !== 'Object' ? name : null;
+}
+
+/**
+ * The syntaxes stringifyPlus can output with its `format` option.
+ * @type {string[]}
+ */
+const OUTPUT_FORMATS = ['json', 'json-pretty', 'yaml', 'js'];
+
+/**
+ * Re-emits stringifyPlus's compact JSON in another format.
+ * @param {string} json - The compact JSON
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @param {number} indent - Spaces per nesting level
+ * @returns {string}
+ */
+function formatOutput(json, format, indent) {
+    if (format === 'json') return json;
+    const value = parseOrdered(json);
+    if (format === 'yaml') return formatYaml(value, ' '.repeat(Math.max(indent, 2))).join('\n');
+    if (format === 'js') return formatLiteral(value, ' '.repeat(indent), formatJsKey, formatJsString);
+    return formatLiteral(value, ' '.repeat(indent), JSON.stringify, JSON.stringify);
+}
+
+// Strings, punctuation and bare literals (numbers, true, false, null) of a JSON text
+const JSON_TOKEN_PATTERN = /"(?:[^"\\]|\\.)*"|[{}[\],:]|[^\s"{}[\],:]+/g;
+
+/**
+ * Parses JSON into arrays and Maps so object keys keep their output order
+ * (JSON.parse would move integer-like keys ahead of leading keys such as "[[Class]]").
+ * Only used on stringifyPlus's own output, which is always valid JSON.
+ * @param {string} json - The JSON to parse
+ * @returns {any} Arrays for arrays, Maps for objects, and primitives
+ */
+function parseOrdered(json) {
+    const tokens = json.match(JSON_TOKEN_PATTERN);
+    let index = 0;
+    function parseValue() {
+        const token = tokens[index++];
+        if (token === '[') {
+            const items = [];
+            while (tokens[index] !== ']') {
+                items.push(parseValue());
+                if (tokens[index] === ',') index++;
+            }
+            index++;
+            return items;
+        }
+        if (token === '{') {
+            const entries = new Map();
+            while (tokens[index] !== '}') {
+                const key = JSON.parse(tokens[index]);
+                index += 2; // The key and its ':'
+                entries.set(key, parseValue());
+                if (tokens[index] === ',') index++;
             }
-            // Recursively stringify property
-            return `${JSON.stringify(key)}:${stringifyPlusInner(val, `${path}.${key}`, false, false, nextAncestors, key)}`;
+            index++;
+            return entries;
+        }
+        return JSON.parse(token);
+    }
+    return parseValue();
+}
+
+/**
+ * Formats a parsed value as indented JSON or a JS literal, one item or key per line.
+ * @param {any} value - A value from parseOrdered
+ * @param {string} pad - The indent for one level
+ * @param {function(string): string} formatKey - Formats object keys
+ * @param {function(string): string} formatString - Formats string values
+ * @param {string} [margin=''] - The indent of the current level
+ * @returns {string}
+ */
+function formatLiteral(value, pad, formatKey, formatString, margin = '') {
+    if (typeof value === 'string') return formatString(value);
+    const inner = margin + pad;
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '[]';
+        const items = value.map(item => inner + formatLiteral(item, pad, formatKey, formatString, inner));
+        return `[\n${items.join(',\n')}\n${margin}]`;
+    }
+    if (value instanceof Map) {
+        if (value.size === 0) return '{}';
+        const entries = [...value].map(([key, item]) =>
+            `${inner}${formatKey(key)}: ${formatLiteral(item, pad, formatKey, formatString, inner)}`);
+        return `{\n${entries.join(',\n')}\n${margin}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Formats a string as a single-quoted JS string literal.
+ * @param {string} value - The string
+ * @returns {string}
+ */
+function formatJsString(value) {
+    const escaped = JSON.stringify(value).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'");
+    return `'${escaped}'`;
+}
+
+/**
+ * Formats an object key for a JS literal, leaving identifiers unquoted.
+ * @param {string} key - The key
+ * @returns {string}
+ */
+function formatJsKey(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? key : formatJsString(key);
+}
+
+// Strings that are safe to write unquoted in YAML, and words YAML would read as booleans or null
+const YAML_PLAIN_PATTERN = /^[A-Za-z_/](?:[\w ./@()+-]*[\w./@()+-])?$/;
+const YAML_RESERVED_PATTERN = /^(?:true|false|null|yes|no|on|off|y|n)$/i;
+
+/**
+ * Formats a scalar (or an empty array or object) as YAML.
+ * Strings are left plain when that is unambiguous, and double-quoted with JSON escapes otherwise.
+ * @param {any} value - A value from parseOrdered
+ * @returns {string}
+ */
+function formatYamlScalar(value) {
+    if (Array.isArray(value)) return '[]';
+    if (value instanceof Map) return '{}';
+    if (typeof value === 'string' && YAML_PLAIN_PATTERN.test(value) && !YAML_RESERVED_PATTERN.test(value)) return value;
+    return JSON.stringify(value);
+}
+
+/**
+ * Formats a parsed value as YAML block lines.
+ * @param {any} value - A value from parseOrdered
+ * @param {string} pad - The indent for one level (at least two spaces, to fit the "- " of sequence items)
+ * @returns {string[]} The lines, relative to the current level
+ */
+function formatYaml(value, pad) {
+    const isBlock = item => (Array.isArray(item) && item.length > 0) || (item instanceof Map && item.size > 0);
+    if (!isBlock(value)) return [formatYamlScalar(value)];
+    if (Array.isArray(value)) {
+        const dash = '-' + pad.slice(1);
+        return value.flatMap(item => {
+            const [first, ...rest] = formatYaml(item, pad);
+            return [dash + first, ...rest.map(line => pad + line)];
         });
-        return `{${pairs.join(',')}}`;
     }
+    return [...value].flatMap(([key, item]) => isBlock(item)
+        ? [`${formatYamlScalar(key)}:`, ...formatYaml(item, pad).map(line => pad + line)]
+        : [`${formatYamlScalar(key)}: ${formatYamlScalar(item)}`]);
+}
 
-    // Start the stringification process
-    return stringifyPlusInner(data);
-} 
\ No newline at end of file
+/**
+ * Companion to stringifyPlus: parses its output and turns the special markers back into real values.
+ * Uses the same defaults pattern for options as stringifyPlus.
+ *
+ * - `undefined` markers become `undefined`
+ * - Dates become `Date` objects and BigInts become `bigint`
+ * - `NaN`, `Infinity`, `-Infinity` and `-0` markers become those numbers
+ * - Symbols become new symbols with the same description
+ * - Maps and Sets become `Map` and `Set` instances
+ * - Rejected and pending Promise markers (from `resolvePromises`) are left as marker text
+ * - Errors become `Error` (or `AggregateError`) instances with their name, stack, fields and cause
+ * - RegExps and URLs become `RegExp` and `URL` instances
+ * - Circular-ref and `dedupe` ref markers become shared references to the object at the recorded path
+ *
+ * Functions, binary data and opaque built-ins cannot be revived and are left as their markers (functions with a
+ * source preview become their signature marker, e.g. "[async function load(url)]").
+ * Without `typed`, dates and BigInts are plain strings in the output, so they are revived heuristically:
+ * strings in `Date.prototype.toJSON` format become Dates, and integer strings outside the safe integer range become BigInts.
+ *
+ * @param {string} text - The output of stringifyPlus
+ * @param {Object} [options] - Optional configuration options
+ * @param {boolean} [options.typed=false] - Must match the `typed` option the text was produced with
+ * @param {boolean} [options.reviveDates=true] - Without `typed`, revive ISO date strings as Dates
+ * @param {boolean} [options.reviveBigInts=true] - Without `typed`, revive unsafe integer strings as BigInts
+ * @param {string} [options.pathFormat='js'] - Must match the `pathFormat` option the text was produced with
+ * @returns {any} The revived data
+ */
+export function parsePlus(text, options = {}) {
+    // Define default options
+    const defaults = {
+        typed: false,
+        reviveDates: true,
+        reviveBigInts: true,
+        pathFormat: 'js'
+    };
+    // Merge defaults with incoming options (options take precedence)
+    options = Object.assign({}, defaults, options);
+
+    // Revived containers by the path stringifyPlus recorded them under, used to resolve circular refs.
+    // Containers are registered before their children are revived, so a ref to an ancestor always resolves.
+    const byPath = new Map();
+
+    /**
+     * Helper to revive a legacy marker string, or return the string unchanged.
+     * @param {string} value - The string to revive
+     * @returns {any}
+     */
+    function reviveString(value) {
+        if (options.typed) return value;
+        if (value === '[ undefined ]') return undefined;
+        if (value.startsWith('[Circular Ref: ') && value.endsWith(']')) {
+            const refPath = value.slice('[Circular Ref: '.length, -1);
+            return byPath.has(refPath) ? byPath.get(refPath) : value;
+        }
+        if (value.startsWith('[Ref: ') && value.endsWith(']')) {
+            const refPath = value.slice('[Ref: '.length, -1);
+            return byPath.has(refPath) ? byPath.get(refPath) : value;
+        }
+        if (/^\[(NaN|-?Infinity|-0)\]$/.test(value)) return Number(value.slice(1, -1));
+        if (value.startsWith('[Symbol ') && value.endsWith(']')) {
+            return Symbol(value.slice('[Symbol '.length, -1));
+        }
+        const regexp = value.match(/^\[RegExp \/(.*)\/([a-z]*)\]$/s);
+        if (regexp) return new RegExp(regexp[1], regexp[2]);
+        if (value.startsWith('[URL ') && value.endsWith(']') && URL.canParse(value.slice('[URL '.length, -1))) {
+            return new URL(value.slice('[URL '.length, -1));
+        }
+        if (options.reviveDates && ISO_DATE_PATTERN.test(value)) {
+            return new Date(value);
+        }
+        if (options.reviveBigInts && /^-?\d+$/.test(value) && !Number.isSafeInteger(Number(value))) {
+            return BigInt(value);
+        }
+        return value;
+    }
+
+    /**
+     * Helper to revive a typed envelope.
+     * @param {Object} envelope - The envelope, e.g. { $type: 'bigint', value: '10' }
+     * @param {string} path - The current path in the object tree
+     * @returns {any}
+     */
+    function reviveEnvelope(envelope, path) {
+        switch (envelope[TYPE_KEY]) {
+            case 'undefined':
+                return undefined;
+            case 'function':
+                return `[${formatFunctionSignature(envelope)}]`;
+            case 'symbol':
+                return Symbol(envelope.description);
+            case 'bigint':
+                return BigInt(envelope.value);
+            case 'number':
+                return Number(envelope.value);
+            case 'date':
+                return new Date(envelope.value === null ? NaN : envelope.value);
+            case 'circular':
+                return byPath.has(envelope.path) ? byPath.get(envelope.path) : `[Circular Ref: ${envelope.path}]`;
+            case 'ref':
+                return byPath.has(envelope.path) ? byPath.get(envelope.path) : `[Ref: ${envelope.path}]`;
+            case 'replaced':
+                return envelope.value;
+            case 'instance':
+                // The class itself cannot be restored, so the serialized value stands in for it
+                return revive(envelope.value, path);
+            case 'redacted':
+                return REDACTED_MARKER;
+            case 'thrown':
+                return formatThrown(envelope.name, envelope.message);
+            case 'promise':
+                return envelope.status === 'pending'
+                    ? `[Promise pending after ${envelope.timeout}ms]`
+                    : `[Promise rejected: ${envelope.name}: ${envelope.message}]`;
+            case 'regexp':
+                return new RegExp(envelope.source, envelope.flags);
+            case 'url':
+                return new URL(envelope.href);
+            case 'bytes':
+                // Only a preview of the bytes was kept, so keep the same marker untyped output would have
+                return `[${envelope.className} ${envelope.byteLength} bytes${envelope.preview ? `: ${envelope.preview}` : ''}]`;
+            case 'opaque':
+                return `[${envelope.className}]`;
+            case 'truncated':
+                // Truncated data cannot be restored, so keep the same marker untyped output would have
+                if (envelope.depth !== undefined) return `[truncated at depth ${envelope.depth}]`;
+                return (envelope.value || '') + formatOmitted(envelope.omitted, envelope.unit);
+            case 'map':
+                return reviveMap(envelope.entries, path);
+            case 'set':
+                return reviveSet(envelope.values, path);
+            case 'error':
+                return reviveError(envelope.value, path);
+            case 'object':
+                return reviveObject(envelope.value, path);
+            default:
+                return reviveObject(envelope, path);
+        }
+    }
+
+    /**
+     * Helper to revive a Map from its [key, value] entries.
+     * @param {Array} entries - The entries
+     * @param {string} path - The current path in the object tree
+     * @returns {Map}
+     */
+    function reviveMap(entries, path) {
+        const map = new Map();
+        byPath.set(path, map);
+        entries.forEach(([key, val], index) => {
+            const entryPath = appendPath(appendPath(path, ENTRIES_SEGMENT, options.pathFormat), index, options.pathFormat);
+            map.set(revive(key, appendPath(entryPath, 0, options.pathFormat)), revive(val, appendPath(entryPath, 1, options.pathFormat)));
+        });
+        return map;
+    }
+
+    /**
+     * Helper to revive a Set from its members.
+     * @param {Array} members - The members
+     * @param {string} path - The current path in the object tree
+     * @returns {Set}
+     */
+    function reviveSet(members, path) {
+        const set = new Set();
+        byPath.set(path, set);
+        members.forEach((item, index) => set.add(revive(item, appendPath(appendPath(path, ENTRIES_SEGMENT, options.pathFormat), index, options.pathFormat))));
+        return set;
+    }
+
+    /**
+     * Helper to revive an Error from its description. The stack is rebuilt in V8's format from the parsed frames,
+     * and `name`, `stack`, `cause` and `errors` are non-enumerable as on a native Error.
+     * @param {Object} description - The parsed description (name, message, stack, custom fields, cause, errors)
+     * @param {string} path - The current path in the object tree
+     * @returns {Error}
+     */
+    function reviveError(description, path) {
+        const message = String(description.message ?? '');
+        const error = Array.isArray(description.errors) ? new AggregateError([], message) : new Error(message);
+        byPath.set(path, error);
+        const define = (key, value) => Object.defineProperty(error, key, { value, writable: true, configurable: true });
+        define('name', String(description.name || 'Error'));
+        if (Array.isArray(description.stack)) {
+            define('stack', [`${error.name}: ${message}`, ...description.stack.map(frame => `    at ${formatStackFrame(frame)}`)].join('\n'));
+        }
+        for (const key of Object.keys(description)) {
+            if (key === 'name' || key === 'message' || key === 'stack') continue;
+            const value = revive(description[key], appendPath(path, key, options.pathFormat));
+            if (key === 'cause' || key === 'errors') define(key, value);
+            else error[key] = value;
+        }
+        return error;
+    }
+
+    /**
+     * Helper to revive a plain object.
+     * @param {Object} obj - The parsed object
+     * @param {string} path - The current path in the object tree
+     * @returns {Object}
+     */
+    function reviveObject(obj, path) {
+        const result = {};
+        byPath.set(path, result);
+        for (const key of Object.keys(obj)) {
+            // Classes and property kinds cannot be restored, so their records are dropped
+            if ((key === CLASS_KEY || key === KEY_KINDS_KEY) && !options.typed) continue;
+            result[key] = revive(obj[key], appendPath(path, key, options.pathFormat));
+        }
+        return result;
+    }
+
+    /**
+     * Helper to revive any parsed value, recursing into containers.
+     * @param {any} value - The parsed value
+     * @param {string} path - The current path in the object tree
+     * @returns {any}
+     */
+    function revive(value, path) {
+        if (typeof value === 'string') return reviveString(value);
+        if (typeof value !== 'object' || value === null) return value;
+        if (Array.isArray(value)) {
+            const arr = [];
+            byPath.set(path, arr);
+            value.forEach((item, index) => { arr[index] = revive(item, appendPath(path, index, options.pathFormat)); });
+            return arr;
+        }
+        if (options.typed) {
+            return typeof value[TYPE_KEY] === 'string' ? reviveEnvelope(value, path) : reviveObject(value, path);
+        }
+        const keys = Object.keys(value);
+        if (keys.length === 1 && Array.isArray(value[keys[0]])) {
+            if (keys[0] === '[Map]') return reviveMap(value['[Map]'], path);
+            if (keys[0] === '[Set]') return reviveSet(value['[Set]'], path);
+        }
+        if (keys.length === 1 && keys[0] === '[Error]' && typeof value['[Error]'] === 'object' && value['[Error]'] !== null) {
+            return reviveError(value['[Error]'], path);
+        }
+        if (keys.length === 1 && keys[0] === '[Function]' && typeof value['[Function]']?.signature === 'string') {
+            // Functions cannot be revived, so keep the marker the output has without a source preview
+            return `[${value['[Function]'].signature}]`;
+        }
+        return reviveObject(value, path);
+    }
+
+    return revive(JSON.parse(text), rootPath(options.pathFormat));
+}
+
+/**
+ * Matches the output of `Date.prototype.toJSON`, used to revive dates from untyped output.
+ * @type {RegExp}
+ */
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;